@@ -1,13 +1,25 @@
 var stream = require('stream');
 var EventEmitter = require('events').EventEmitter;
 var util = require('util');
+var JobRegistry = require('./lib/jobs');
+var client = require('./lib/client');
+var Manager = require('./lib/manager');
+var Collector = require('./lib/metrics');
+var heartbeats = require('./lib/heartbeats');
+var Broker = require('./lib/broker');
+var Coalescer = require('./lib/coalescer');
+var Serializers = require('./lib/serializers');
+var http2 = require('./lib/http2');
+var adapters = require('./lib/adapters');
+var preferences = require('./lib/preferences');
+var errors = require('./lib/errors');
+var clock = require('./lib/clock');
 
-var TimeoutError = function () {
-    var err = Error.apply(this, arguments);
-    this.stack = err.stack;
-    this.message = err.message;
-    return this;
-};
+var TimeoutError = errors.TimeoutError;
+var AbortError = errors.AbortError;
+
+// platform timing problems already reported, since every request would report the same ones
+var warned = {};
 
 /**
  * Creates a new DelayedResponse instance.
@@ -26,20 +38,46 @@ var DelayedResponse = function (req, res, next) {
     this.req = req;
     this.res = res;
     this.next = next;
+    this.http2 = http2.isHttp2(res);
+    // requests can carry their own clock, such as the virtual clock of DelayedResponse.testing
+    this.clock = req.delayedClock || DelayedResponse.clock;
     this.timers = {};
+    this.timestamps = { created: this.clock.now() };
+    this.stallThreshold = 60000;
+    this.subscriptions = [];
+
+    // signals cancellation to the underlying work
+    if (typeof AbortController !== 'undefined') {
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+    }
 
     // if request is aborted, end the response immediately
     req.on('close', function () {
         abort.call(delayed);
     });
     // make sure timers stop if response is ended or closed
-    res.on('close', function () {
+    var closed = function () {
+        // a response closed before being ended means the connection was lost
+        if (!res.finished) {
+            abortWork.call(delayed, new AbortError('request aborted', elapsed.call(delayed)));
+            settle.call(delayed, 'abort');
+        }
         delayed.stop();
-    }).on('finish', function () {
+    };
+    res.on('close', closed).on('finish', function () {
+        // HTTP/2 responses also finish when the stream is reset
+        if (!res.finished) return closed();
+        // the response may have been ended manually
+        settle.call(delayed, 'done');
         delayed.stop();
     });
 
+    // requests admitted by a manager are tracked until stopped
+    req.delayedManager && req.delayedManager.add(this);
+
     EventEmitter.call(this);
+    report.call(this, 'create');
 };
 util.inherits(DelayedResponse, EventEmitter);
 
@@ -52,26 +90,221 @@ DelayedResponse.prototype.json = function () {
     return this;
 };
 
+/**
+ * Renders results in the format preferred by the client, using the serializers of DelayedResponse.serializers. The
+ * media type is negotiated from the "Accept" header when the response ends, or when long-polling starts since headers
+ * are sent early. When waiting, the response is ended with HTTP 406 if no media type is acceptable.
+ *
+ * @param  {Array}           types The media types allowed (defaults to the types of DelayedResponse.serializers.types)
+ * @return {DelayedResponse}       The same instance, for chaining calls
+ */
+DelayedResponse.prototype.negotiate = function (types) {
+    this.accepts = types || DelayedResponse.serializers.types();
+    return this;
+};
+
+/**
+ * Renders the outcome in a JSON envelope: { "status": "ok", "result": ... } when successful, or
+ * { "status": "error"|"timeout", "error": { "message": ... } } when failed. Errors are rendered in the response
+ * unless an "error" handler is attached. Also sets the "Content-Type" header to "application/json".
+ *
+ * @return {DelayedResponse} The same instance, for chaining calls
+ */
+DelayedResponse.prototype.envelope = function () {
+    this.useEnvelope = true;
+    return this.json();
+};
+
+/**
+ * Declares the "X-Result-Status" trailer, reporting the outcome ("ok", "error" or "timeout") once the response ends.
+ * Must be called before headers are sent.
+ *
+ * @return {DelayedResponse} The same instance, for chaining calls
+ */
+DelayedResponse.prototype.trailer = function () {
+    if (this.res.headersSent) throw new Error('headers already sent');
+    this.useTrailer = true;
+    this.res.setHeader('Trailer', 'X-Result-Status');
+    return this;
+};
+
+/**
+ * Keeps the connection alive with HTTP/2 PING frames instead of writing heartbeats to the response, so that the
+ * response body only contains the results. Response headers are sent with the first PING frame.
+ *
+ * @return {DelayedResponse} The same instance, for chaining calls
+ */
+DelayedResponse.prototype.ping = function () {
+    if (!this.http2) throw new Error('PING heartbeats require HTTP/2');
+    this.usePing = true;
+    return this;
+};
+
+/**
+ * Sets the maximum amount of time writes can stay blocked before the connection is considered dead. Heartbeats are
+ * paused while the client is not reading the response; if the response does not drain within this time, the
+ * connection is destroyed and the work is aborted.
+ *
+ * @param  {Number}          threshold The maximum amount of time writes can stay blocked (defaults to 60 seconds, 0
+ *                                     to wait indefinitely)
+ * @return {DelayedResponse}           The same instance, for chaining calls
+ */
+DelayedResponse.prototype.stallTimeout = function (threshold) {
+    this.stallThreshold = threshold;
+    return this;
+};
+
+/**
+ * Keeps track of this response with a job registry. If the response times out while waiting, a job is created instead
+ * of discarding the results, and the client is redirected to the job status with the "Location" header.
+ *
+ * @param  {JobRegistry}     registry The job registry to use
+ * @return {DelayedResponse}          The same instance, for chaining calls
+ */
+DelayedResponse.prototype.track = function (registry) {
+    this.registry = registry;
+    return this;
+};
+
+/**
+ * Sets the platform this response is served from, so that heartbeat timings are verified against its timeouts when
+ * long-polling. Timings exceeding the platform limits produce a process warning (once for the same platform and
+ * timings, with the "DELAYED_RESPONSE_PLATFORM" code), or an error in strict mode. The platform timings are also used
+ * when not specified with "start".
+ *
+ * @param  {String|Object}   preset The platform name ("heroku", "alb" or "nginx"), or a custom preset
+ * @param  {Boolean}         strict Whether to throw instead of warning when timings exceed the platform limits
+ * @return {DelayedResponse}        The same instance, for chaining calls
+ */
+DelayedResponse.prototype.platform = function (preset, strict) {
+    if (typeof preset === 'string') {
+        if (!heartbeats.presets.hasOwnProperty(preset)) throw new Error('unknown platform: ' + preset);
+        preset = heartbeats.presets[preset];
+    }
+    this.preset = preset;
+    this.strict = !!strict;
+    return this;
+};
+
+/**
+ * Honors the preferences sent by the client with the "Prefer" header (RFC 7240): "wait=N" sets the timeout to N
+ * seconds, and "respond-async" times out immediately, or after the "wait" preference when both are sent. Preferences
+ * honored are reported with the "Preference-Applied" header. Must be called before "wait" or "start".
+ *
+ * Since results of responses timing out can only be retrieved from a job, "respond-async" is ignored unless waiting
+ * with a job registry (see "track").
+ *
+ * @param  {Object}          policy     The server policy, clamping the timeout requested by the client
+ * @param  {Number}          policy.min The minimum timeout allowed (defaults to zero)
+ * @param  {Number}          policy.max The maximum timeout allowed (defaults to the timeout passed to "wait" or
+ *                                      "start", or no limit)
+ * @return {DelayedResponse}            The same instance, for chaining calls
+ */
+DelayedResponse.prototype.prefer = function (policy) {
+    this.preferPolicy = policy || {};
+    return this;
+};
+
+/**
+ * Retries the work function passed to "wait" or "start" when it fails, as long as the timeout allows it. Retries are
+ * given up when the next attempt would start after the timeout, in which case the last error ends the response. The
+ * final error carries the history of all attempts with its "attempts" property.
+ *
+ * @param  {Object}          policy           The retry policy
+ * @param  {Number}          policy.attempts  The maximum number of attempts, including the first (defaults to 3)
+ * @param  {Number|Object}   policy.backoff   The delay before retrying, or a schedule such as
+ *                                            DelayedResponse.heartbeats.exponential (defaults to 100ms, doubling)
+ * @param  {Function}        policy.retryable The function returning whether an error can be retried (defaults to all
+ *                                            errors)
+ * @return {DelayedResponse}                  The same instance, for chaining calls
+ */
+DelayedResponse.prototype.retry = function (policy) {
+    policy = policy || {};
+    var backoff = typeof policy.backoff === 'undefined' ? heartbeats.exponential(100) : policy.backoff;
+    this.retryPolicy = {
+        attempts: policy.attempts || 3,
+        backoff: typeof backoff === 'number' ? heartbeats.fixed(backoff) : backoff,
+        retryable: policy.retryable || function () {
+            return true;
+        }
+    };
+    return this;
+};
+
+/**
+ * Returns the amount of time left before the timeout occurs.
+ *
+ * @return {Number} The remaining time in milliseconds, or Infinity if there is no timeout
+ */
+DelayedResponse.prototype.remaining = function () {
+    if (!this.deadline) return Infinity;
+    return Math.max(this.deadline - this.clock.now(), 0);
+};
+
+/**
+ * Ends this delayed response as soon as a message is published on a channel, rendering { "cursor": ..., "messages":
+ * [...] }. If a cursor is specified, messages published since are delivered immediately, so that clients polling
+ * repeatedly with the last cursor received do not miss messages. Use with "wait" or "start" to set timeouts and
+ * long-polling.
+ *
+ * @param  {String}          channel The channel to subscribe to
+ * @param  {Function}        filter  An optional function returning whether a message should be delivered
+ * @param  {*}               since   The cursor of the last message received by the client
+ * @return {DelayedResponse}         The same instance, for chaining calls
+ */
+DelayedResponse.prototype.waitFor = function (channel, filter, since) {
+
+    var delayed = this;
+    var messages = [];
+    var cursor;
+
+    var unsubscribe = DelayedResponse.broker.subscribe(channel, since, function (message, messageCursor) {
+        if (delayed.ended || filter && !filter(message)) return;
+        messages.push(message);
+        cursor = messageCursor;
+        // deliver messages published at the same time together
+        messages.length === 1 && process.nextTick(function () {
+            delayed.ended || delayed.end(null, { cursor: cursor, messages: messages });
+        });
+    });
+    this.subscriptions.push(unsubscribe);
+
+    return this;
+};
+
 /**
  * Waits for callback results without long-polling.
  *
- * @param  {Number} timeout The maximum amount of time to wait before cancelling
- * @return {Function}       The callback handler to use to end the delayed response (same as DelayedResponse.end).
+ * @param  {Number}   timeout The maximum amount of time to wait before cancelling
+ * @param  {Function} work    An optional function to run, receiving the abort signal and the callback handler. The
+ *                            function can either invoke the callback or return a promise.
+ * @return {Function}         The callback handler to use to end the delayed response (same as DelayedResponse.end).
  */
-DelayedResponse.prototype.wait = function (timeout) {
+DelayedResponse.prototype.wait = function (timeout, work) {
 
     if (this.started) throw new Error('instance already started');
     var delayed = this;
 
+    if (typeof timeout === 'function') {
+        work = timeout;
+        timeout = undefined;
+    }
+
+    timeout = preferredTimeout.call(this, timeout, !!this.registry);
+    this.timestamps.started = this.clock.now();
+    report.call(this, 'start');
+
     // setup the cancel timer
-    if (timeout) {
-        this.timers.timeout = setTimeout(function () {
+    if (typeof timeout === 'number') {
+        this.deadline = this.clock.now() + timeout;
+        this.timers.timeout = this.clock.setTimeout(function () {
             // timeout implies status is unknown, set HTTP Accepted status
             delayed.res.statusCode = 202;
-            delayed.end(new TimeoutError('timeout occurred'));
+            expire.call(delayed);
         }, timeout);
     }
 
+    work && run.call(this, work);
     return this.end.bind(delayed);
 };
 
@@ -79,53 +312,681 @@ DelayedResponse.prototype.wait = function (timeout) {
  * Starts long-polling to keep the connection alive while waiting for the callback results.
  * Also sets the response to status code 202 (Accepted).
  *
- * @param  {Number} interval     The interval at which "heartbeat" events are emitted
- * @param  {Number} initialDelay The initial delay before starting the polling process
- * @param  {Number} timeout      The maximum amount of time to wait before cancelling
- * @return {Function}            The callback handler to use to end the delayed response (same as DelayedResponse.end).
+ * @param  {Number|Object} interval     The interval at which "heartbeat" events are emitted, or a heartbeat schedule
+ * @param  {Number}        initialDelay The initial delay before starting the polling process
+ * @param  {Number}        timeout      The maximum amount of time to wait before cancelling
+ * @param  {Function}      work         An optional function to run, receiving the abort signal and the callback
+ *                                      handler
+ * @return {Function}                   The callback handler to use to end the delayed response (same as
+ *                                      DelayedResponse.end).
  */
-DelayedResponse.prototype.start = function (interval, initialDelay, timeout) {
+DelayedResponse.prototype.start = function (interval, initialDelay, timeout, work) {
 
     if (this.started) throw new Error('instance already started');
 
+    // the work function is always the last argument
+    var args = Array.prototype.slice.call(arguments);
+    work = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    interval = args[0];
+    initialDelay = args[1];
+    timeout = args[2];
+
     var delayed = this;
-    interval = interval || 100;
-    initialDelay = typeof initialDelay === 'undefined' ? interval : initialDelay;
+    var preset = this.preset || {};
+    interval = interval || preset.interval || 100;
+    if (typeof initialDelay === 'undefined') {
+        initialDelay = typeof preset.initialDelay === 'undefined' ? interval : preset.initialDelay;
+        initialDelay = typeof initialDelay === 'number' ? initialDelay : initialDelay.next(0);
+    }
+
+    // make sure heartbeats are frequent enough for the platform
+    if (this.preset) {
+        var problems = heartbeats.check(this.preset, interval, initialDelay);
+        if (problems.length && this.strict) throw new Error(problems[0]);
+        problems.forEach(function (problem) {
+            if (warned.hasOwnProperty(problem)) return;
+            warned[problem] = true;
+            process.emitWarning(problem, 'DelayedResponseWarning', 'DELAYED_RESPONSE_PLATFORM');
+        });
+    }
+
+    // headers are about to be sent, timing out aborts the work: responding asynchronously is not possible
+    timeout = preferredTimeout.call(this, timeout, false);
 
     // set HTTP Accepted status code
     this.res.statusCode = 202;
 
     // disable socket buffering: make sure content is flushed immediately during long-polling
-    this.res.socket && this.res.socket.setNoDelay();
+    noDelay.call(this, true);
+
+    // headers are about to be sent, fall back to the preferred type if none is acceptable
+    if (this.accepts && !this.eventStream && !this.contentType) {
+        contentType.call(this, negotiate.call(this) || this.accepts[0]);
+    }
 
     // start the polling and initial delay timers
-    this.timers.initialDelay = setTimeout(function () {
-        delayed.timers.poll = setInterval(heartbeat.bind(delayed), interval);
+    this.timers.initialDelay = this.clock.setTimeout(function () {
+        if (typeof interval === 'number') {
+            delayed.timers.poll = delayed.clock.setInterval(heartbeat.bind(delayed), interval);
+        } else {
+            scheduleHeartbeat.call(delayed, interval, 0);
+        }
     }, initialDelay);
     this.started = true;
+    this.timestamps.started = this.clock.now();
+    report.call(this, 'start');
 
     // setup the cancel timer
-    if (timeout) {
-        this.timers.timeout = setTimeout(function () {
-            delayed.end(new TimeoutError('timeout occurred'));
+    if (typeof timeout === 'number') {
+        this.deadline = this.clock.now() + timeout;
+        this.timers.timeout = this.clock.setTimeout(function () {
+            expire.call(delayed);
         }, timeout);
     }
 
+    work && run.call(this, work);
     return this.end.bind(delayed);
 };
 
+/**
+ * Starts long-polling with Server-Sent Events, allowing browsers to consume the response with EventSource. Heartbeats
+ * are written as SSE comments, and the results are delivered as a "result" or "error" event.
+ *
+ * @param  {Number|Object} interval     The interval at which "heartbeat" events are emitted, or a heartbeat schedule
+ * @param  {Number}        initialDelay The initial delay before starting the polling process
+ * @param  {Number}        timeout      The maximum amount of time to wait before cancelling
+ * @param  {Function}      work         An optional function to run, receiving the abort signal and the callback
+ *                                      handler
+ * @return {Function}                   The callback handler to use to end the delayed response (same as
+ *                                      DelayedResponse.end).
+ */
+DelayedResponse.prototype.startEventStream = function (interval, initialDelay, timeout, work) {
+
+    if (this.started) throw new Error('instance already started');
+
+    // event IDs resume from the last event received by the client
+    this.lastEventId = this.req.headers['last-event-id'];
+    this.eventId = parseInt(this.lastEventId, 10) || 0;
+    this.eventStream = true;
+    this.framed = true;
+
+    this.res.setHeader('Content-Type', 'text/event-stream');
+    this.res.setHeader('Cache-Control', 'no-cache');
+    var callback = this.start.apply(this, arguments);
+
+    // EventSource only accepts HTTP 200
+    this.res.statusCode = 200;
+    return callback;
+};
+
+/**
+ * Reports the progress of the delayed operation. When long-polling, a progress frame is written in place of the next
+ * heartbeat, so that frequent updates are throttled to the polling interval. Only the latest progress is written.
+ *
+ * Once progress has been reported, the results are also written as a frame.
+ *
+ * @param  {*}               value   The progress value (e.g. a percentage)
+ * @param  {String}          message An optional message describing the current progress
+ * @return {DelayedResponse}         The same instance, for chaining calls
+ */
+DelayedResponse.prototype.progress = function (value, message) {
+    this.emit('progress', value, message);
+    if (this.started && !this.ended) {
+        this.framed = true;
+        this.pendingProgress = { value: value, message: message };
+    }
+    return this;
+};
+
+/**
+ * Sets the function used to format progress and result frames, when not using Server-Sent Events. The function
+ * receives the frame type ("progress", "result", "item", "end" or "error") and its payload, and must return the string
+ * to write.
+ * Frames are written as NDJSON by default.
+ *
+ * @param  {Function}        format The frame formatting function
+ * @return {DelayedResponse}        The same instance, for chaining calls
+ */
+DelayedResponse.prototype.framing = function (format) {
+    this.formatFrame = format;
+    return this;
+};
+
+/**
+ * Sets how items are written when ending with an async iterable, a generator or an array of promises, unless frames
+ * are already used (event streams and progress reports), in which case every item is written as an "item" frame.
+ *
+ * @param  {String}          framing Either "ndjson" (one JSON value per line) or "array" (a JSON array). Defaults to
+ *                                   "array" if "Content-Type" is "application/json", "ndjson" otherwise.
+ * @return {DelayedResponse}         The same instance, for chaining calls
+ */
+DelayedResponse.prototype.frameItems = function (framing) {
+    if (framing !== 'ndjson' && framing !== 'array') throw new Error('unknown framing: ' + framing);
+    this.itemFraming = framing;
+    return this;
+};
+
 function heartbeat() {
+    if (!this.timestamps.firstHeartbeat) {
+        this.timestamps.firstHeartbeat = this.clock.now();
+        report.call(this, 'heartbeat');
+    }
     // always emit "poll" event
     this.emit('poll');
+    // the client is not reading the response, heartbeats would only be buffered
+    if (this.blocked) return;
+    // items written since the last heartbeat already keep the connection alive
+    if (this.flowing) {
+        this.flowing = false;
+        return;
+    }
+    // pending progress replaces the default heartbeat
+    var progress = this.pendingProgress;
+    this.pendingProgress = null;
     // if "heartbeat" event is attached, delegate to handlers
     if (this.listeners('heartbeat').length) {
-        return this.emit('heartbeat');
+        this.emit('heartbeat');
+        return progress && writeFrame.call(this, 'progress', progress);
+    }
+    if (progress) return writeFrame.call(this, 'progress', progress);
+    if (this.usePing) return http2.ping(this.res);
+    // default behavior: write the heartbeat character (a space), or an empty comment for event streams
+    writeChunk.call(this, this.eventStream ? ':\n\n' : ' ');
+}
+
+function writeChunk(chunk) {
+    var delayed = this;
+    if (this.res.write(chunk) || this.blocked) return !this.blocked;
+    // the response is buffering: wait until it drains
+    this.blocked = this.clock.now();
+    this.res.once('drain', function () {
+        delayed.blocked = null;
+        delayed.clock.clearTimeout(delayed.timers.stall);
+        delayed.timers.stall = null;
+    });
+    if (this.stallThreshold) {
+        this.timers.stall = this.clock.setTimeout(stall.bind(this), this.stallThreshold);
+    }
+    return false;
+}
+
+function stall() {
+    // the client stopped reading: the connection is considered dead
+    abortWork.call(this, new AbortError('connection stalled', elapsed.call(this)));
+    if (typeof this.res.destroy === 'function') return this.res.destroy();
+    abort.call(this);
+}
+
+function scheduleHeartbeat(schedule, count) {
+    var delayed = this;
+    this.timers.poll = this.clock.setTimeout(function () {
+        heartbeat.call(delayed);
+        // polling may have stopped during the heartbeat
+        delayed.timers.poll && scheduleHeartbeat.call(delayed, schedule, count + 1);
+    }, schedule.next(count));
+}
+
+function ndjson(type, payload) {
+    var frame = {};
+    frame[type] = typeof payload === 'undefined' ? null : payload;
+    return JSON.stringify(frame) + '\n';
+}
+
+function writeFrame(type, payload) {
+    if (!this.eventStream) {
+        return writeChunk.call(this, (this.formatFrame || ndjson)(type, payload));
+    }
+    if (typeof payload === 'undefined' || payload === null) {
+        payload = '';
+    } else if (typeof payload !== 'string') {
+        payload = JSON.stringify(payload);
     }
-    // default behavior: write the heartbeat character (a space)
-    this.res.write(' ');
+    var lines = ['id: ' + (++this.eventId), 'event: ' + type];
+    payload.split(/\r\n|\r|\n/).forEach(function (line) {
+        lines.push('data: ' + line);
+    });
+    return writeChunk.call(this, lines.join('\n') + '\n\n');
+}
+
+function buffer(data, callback) {
+    if (!(data instanceof stream.Readable)) {
+        return callback(null, Buffer.isBuffer(data) ? data.toString() : data);
+    }
+    var res = this.res;
+    // the source is no longer needed once the client has gone away
+    var close = function () {
+        typeof data.destroy === 'function' && data.destroy();
+    };
+    res.on('close', close);
+    // wait for the entire contents of streams
+    var chunks = [];
+    data.on('data', function (chunk) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }).on('end', function () {
+        res.removeListener('close', close);
+        callback(null, Buffer.concat(chunks).toString());
+    }).on('error', function (err) {
+        res.removeListener('close', close);
+        if (res.destroyed || res.finished) return;
+        callback(err);
+    });
+}
+
+function endWithFrame(type, data) {
+    var delayed = this;
+    buffer.call(this, data, function (err, data) {
+        if (err && delayed.listeners('error').length) return fail.call(delayed, err);
+        // failures of the source are reported in-band, like any other error
+        writeFrame.call(delayed, err ? 'error' : type, err ? { message: err.message } : data);
+        delayed.res.end();
+    });
+}
+
+function iterable(data) {
+    if (!data || typeof data !== 'object' || data instanceof stream.Readable || Buffer.isBuffer(data)) return false;
+    if (typeof data[Symbol.asyncIterator] === 'function') return true;
+    // plain arrays are rendered as a whole
+    if (Array.isArray(data)) {
+        return data.some(function (item) {
+            return item && typeof item.then === 'function';
+        });
+    }
+    return typeof data[Symbol.iterator] === 'function' && typeof data.next === 'function';
+}
+
+function iterate(data, write, callback) {
+    var iterator = typeof data[Symbol.asyncIterator] === 'function' ? data[Symbol.asyncIterator]() :
+        data[Symbol.iterator]();
+    var settled = false;
+    // promises of arrays are already running: those left behind when stopping early must not be unhandled
+    Array.isArray(data) && data.forEach(function (item) {
+        item && typeof item.then === 'function' && item.then(null, function () {});
+    });
+    var finish = function (err) {
+        if (settled) return;
+        settled = true;
+        callback(err);
+    };
+    // let the iterator clean up when stopping early, reporting the first failure
+    var stop = function (err) {
+        var result;
+        try {
+            result = iterator.return && iterator.return();
+        } catch (returnErr) {
+            return finish(err || returnErr);
+        }
+        Promise.resolve(result).then(function () {
+            finish(err);
+        }, function (returnErr) {
+            finish(err || returnErr);
+        });
+    };
+    var next = function () {
+        var step;
+        try {
+            step = iterator.next();
+        } catch (err) {
+            return finish(err);
+        }
+        Promise.resolve(step).then(function (step) {
+            if (step.done) return finish();
+            return Promise.resolve(step.value).then(function (item) {
+                var written;
+                try {
+                    written = write(item);
+                } catch (err) {
+                    return stop(err);
+                }
+                // the response has gone away
+                if (written === false) return stop();
+                // the next item is only pulled once the previous one has been written
+                Promise.resolve(written).then(next);
+            });
+        }).catch(finish);
+    };
+    next();
+}
+
+function drained() {
+    var res = this.res;
+    return new Promise(function (resolve) {
+        var resume = function () {
+            res.removeListener('drain', resume);
+            res.removeListener('close', resume);
+            resolve();
+        };
+        res.on('drain', resume).on('close', resume);
+    });
+}
+
+function endWithItems(data) {
+
+    var delayed = this;
+    var res = this.res;
+    var framing = this.itemFraming ||
+        (/^application\/json/.test(res.getHeader('Content-Type')) ? 'array' : 'ndjson');
+    var items = this.useEnvelope && !this.framed ? [] : null;
+    var count = 0;
+
+    // the work has completed, only the client can interrupt the response now
+    this.clock.clearTimeout(this.timers.timeout);
+    this.timers.timeout = null;
+
+    if (!res.headersSent && !res.getHeader('Content-Type') && !items) {
+        res.setHeader('Content-Type', framing === 'array' ? 'application/json' : 'application/x-ndjson');
+    }
+
+    var write = function (item) {
+        if (res.destroyed || res.finished) return false;
+        // envelopes can only be rendered once every item is known
+        if (items) return items.push(item);
+        delayed.flowing = true;
+        item = typeof item === 'undefined' ? null : item;
+        if (delayed.framed) {
+            writeFrame.call(delayed, 'item', item);
+        } else if (framing === 'array') {
+            writeChunk.call(delayed, (count ? ',' : '[') + JSON.stringify(item));
+        } else {
+            writeChunk.call(delayed, JSON.stringify(item) + '\n');
+        }
+        count++;
+        // the client stopped reading: wait until it drains, or goes away
+        return delayed.blocked ? drained.call(delayed) : true;
+    };
+
+    iterate(data, write, function (err) {
+
+        if (res.destroyed || res.finished) return;
+        settle.call(delayed, classify(err));
+        noDelay.call(delayed, false);
+        if (delayed.useTrailer) {
+            res.addTrailers({ 'X-Result-Status': outcome(err) });
+        }
+
+        if (items) return endWithEnvelope.call(delayed, err, items);
+        if (err && !res.headersSent) {
+            res.statusCode = err.status || err.statusCode || 500;
+        }
+        // failures are reported in-band, since items have already been written
+        if (delayed.framed) {
+            writeFrame.call(delayed, err ? 'error' : 'end', err ? { message: err.message } : null);
+        } else if (framing === 'array') {
+            var failure = err ? JSON.stringify({ error: { message: err.message } }) : '';
+            res.write((count ? (failure && ',') : '[') + failure + ']');
+        } else if (err) {
+            res.write(JSON.stringify({ error: { message: err.message } }) + '\n');
+        }
+        res.end();
+    });
+}
+
+function endWithStream(source) {
+
+    var delayed = this;
+    var res = this.res;
+    var ended = false;
+
+    // the work has completed, only the client can interrupt the response now
+    this.clock.clearTimeout(this.timers.timeout);
+    this.timers.timeout = null;
+
+    var finish = function (err) {
+        settle.call(delayed, classify(err));
+        noDelay.call(delayed, false);
+        if (delayed.useTrailer) {
+            res.addTrailers({ 'X-Result-Status': outcome(err) });
+        }
+    };
+
+    // registered before piping, so that trailers are added before the response ends
+    source.on('end', function () {
+        ended = true;
+        finish();
+    }).on('error', function (err) {
+        ended = true;
+        source.unpipe(res);
+        if (res.destroyed || res.finished) return;
+        finish(err);
+        fail.call(delayed, err);
+    });
+    // the source is no longer needed once the client has gone away
+    res.on('close', function () {
+        ended || typeof source.destroy !== 'function' || source.destroy();
+    });
+
+    source.pipe(res);
+}
+
+function outcome(err) {
+    if (!err) return 'ok';
+    return err instanceof TimeoutError ? 'timeout' : 'error';
+}
+
+function endWithEnvelope(err, data) {
+    var delayed = this;
+    var envelope = { status: outcome(err) };
+    if (err) {
+        envelope.error = { message: err.message };
+        // timeouts already have their status
+        if (!this.res.headersSent && !(err instanceof TimeoutError)) {
+            this.res.statusCode = err.status || err.statusCode || 500;
+        }
+        return this.res.end(JSON.stringify(envelope));
+    }
+    buffer.call(this, data, function (err, data) {
+        if (err) {
+            return delayed.listeners('error').length ? fail.call(delayed, err) : endWithEnvelope.call(delayed, err);
+        }
+        envelope.result = typeof data === 'undefined' ? null : data;
+        delayed.res.end(JSON.stringify(envelope));
+    });
+}
+
+function noDelay(enabled) {
+    // HTTP/2 streams share the socket of their session
+    if (this.http2 || !this.res.socket) return;
+    this.res.socket.setNoDelay(enabled);
+}
+
+function negotiate() {
+    return DelayedResponse.serializers.negotiate(this.req, this.accepts);
+}
+
+function vary(field) {
+    var current = this.res.getHeader('Vary');
+    var fields = current ? String(current).split(/\s*,\s*/) : [];
+    fields.indexOf(field) === -1 && fields.push(field);
+    this.res.setHeader('Vary', fields.join(', '));
+}
+
+function contentType(type) {
+    this.contentType = type;
+    if (this.res.headersSent) return;
+    this.res.setHeader('Content-Type', type);
+    // caches must not serve the same results to clients accepting other types
+    vary.call(this, 'Accept');
+}
+
+function preferredTimeout(timeout, async) {
+    if (!this.preferPolicy) return timeout || undefined;
+    var requested = preferences.parse(this.req.headers.prefer);
+    // results of responses timing out can only be retrieved later from a job
+    async || delete requested['respond-async'];
+    var resolved = preferences.resolve(requested, this.preferPolicy, timeout);
+    // caches must not serve the same response to clients with other preferences
+    vary.call(this, 'Prefer');
+    if (resolved.applied.length) {
+        this.res.setHeader('Preference-Applied', resolved.applied.join(', '));
+    }
+    return resolved.timeout;
+}
+
+function endWithSerializer(data) {
+    // waiting: negotiation happens when the response ends
+    if (!this.contentType) {
+        var type = negotiate.call(this);
+        if (!type) {
+            this.res.statusCode = 406;
+            return this.res.end();
+        }
+        contentType.call(this, type);
+    }
+    // buffers are rendered as is, regardless of the media type
+    if (Buffer.isBuffer(data)) return this.res.end(data);
+    var body;
+    try {
+        body = DelayedResponse.serializers.serialize(this.contentType, data, this.req);
+    } catch (err) {
+        // results the serializer can't render are handled like any other error
+        return fail.call(this, err);
+    }
+    this.res.end(body);
+}
+
+function defer() {
+    var delayed = this;
+    this.jobId = this.registry.create(this, function (err) {
+        if (err) return fail.call(delayed, err);
+        if (delayed.listeners('cancel').length) {
+            return delayed.emit('cancel', delayed.jobId);
+        }
+        // default behavior: render the pending job status
+        delayed.res.setHeader('Content-Type', 'application/json');
+        delayed.res.end(JSON.stringify({ id: delayed.jobId, status: 'pending' }));
+    });
+}
+
+function fail(err) {
+    if (this.listeners('error').length) {
+        return this.emit('error', err);
+    } else if (this.next) {
+        return this.next(err);
+    }
+    endWithProblem.call(this, err);
+}
+
+function endWithProblem(err) {
+    var status = errors.status(err);
+    // long-polling: the status has been sent (or is about to be), the problem is reported in-band
+    if (!this.started && !this.res.headersSent) {
+        this.res.statusCode = status;
+        this.res.setHeader('Content-Type', 'application/problem+json');
+    }
+    this.res.end(JSON.stringify(errors.problem(err, status, DelayedResponse.exposeStack)));
+}
+
+function elapsed() {
+    return this.clock.now() - (this.timestamps.started || this.timestamps.created);
+}
+
+function run(work) {
+    if (this.retryPolicy) return attempt.call(this, work, 1, []);
+    var delayed = this;
+    var callback = function (err, data) {
+        // work settling once aborted (timeout, shutdown) is expected, unless results are expected by a pending job
+        if (delayed.ended && !delayed.jobId) return;
+        delayed.end(err, data);
+    };
+    var result;
+    try {
+        result = work(this.signal, callback);
+    } catch (err) {
+        return callback(err);
+    }
+    // detect a promise-like object
+    if (result && typeof result.then === 'function') {
+        result.then(function (data) {
+            callback(null, data);
+        }, callback);
+    }
+}
+
+function attempt(work, count, history) {
+
+    var delayed = this;
+    var policy = this.retryPolicy;
+    var started = this.clock.now();
+    var settled = false;
+
+    var callback = function (err, data) {
+        if (settled) return;
+        settled = true;
+        // results of pending jobs are still expected after the response has ended
+        if (delayed.ended && !delayed.jobId) return;
+        if (!err) return delayed.end(null, data);
+
+        history.push({ error: err, duration: delayed.clock.now() - started });
+        var delay = policy.backoff.next(count - 1);
+        var exhausted = count >= policy.attempts || !policy.retryable(err) ||
+            delayed.signal && delayed.signal.aborted ||
+            // the next attempt would start after the timeout
+            !delayed.jobId && delay >= delayed.remaining();
+
+        if (exhausted) {
+            // the history refers to the error itself: hidden from serializers of errors
+            Object.defineProperty(err, 'attempts', {
+                value: history, enumerable: false, configurable: true, writable: true
+            });
+            return delayed.end(err);
+        }
+        delayed.emit('retry', err, count, delay);
+        delayed.timers.retry = delayed.clock.setTimeout(function () {
+            if (delayed.ended && !delayed.jobId) return;
+            attempt.call(delayed, work, count + 1, history);
+        }, delay);
+    };
+
+    this.emit('attempt', count);
+
+    var result;
+    try {
+        result = work(this.signal, callback);
+    } catch (err) {
+        return callback(err);
+    }
+    // detect a promise-like object
+    if (result && typeof result.then === 'function') {
+        result.then(function (data) {
+            callback(null, data);
+        }, callback);
+    }
+}
+
+function expire() {
+    var err = new TimeoutError('timeout occurred', elapsed.call(this));
+    // work continues in the background when results are expected by a job
+    if (!this.registry || this.started) {
+        abortWork.call(this, err);
+    }
+    this.end(err);
+}
+
+function abortWork(reason) {
+    // work has already completed, or continues in the background for a pending job
+    if (!this.controller || this.signal.aborted || this.completed || this.jobId) return;
+    this.controller.abort(reason);
+}
+
+function report(event) {
+    DelayedResponse.metrics && DelayedResponse.metrics.record(event, this);
+}
+
+function settle(outcome) {
+    if (this.outcome) return;
+    this.outcome = outcome;
+    this.timestamps.ended = this.clock.now();
+    report.call(this, 'end');
+}
+
+function classify(err) {
+    if (!err) return 'done';
+    if (err instanceof TimeoutError) return 'timeout';
+    return err instanceof AbortError ? 'abort' : 'error';
 }
 
 function abort() {
+    settle.call(this, 'abort');
+    abortWork.call(this, new AbortError('request aborted', elapsed.call(this)));
     this.stop();
     if (this.listeners('abort').length) {
         return this.emit('abort');
@@ -136,9 +997,14 @@ function abort() {
 
 /**
  * Ends this delayed response, writing the contents to the HTTP response and ending it. Attach a handler on the "done"
- * event to manually end the response, or "error" to manually handle the error.
+ * event to manually end the response, or "error" to manually handle the error. Without "error" handler, errors are
+ * handed to the next function, or rendered as "application/problem+json" (RFC 7807). Errors are rendered in-band when
+ * headers are already sent, and stack traces are only included when DelayedResponse.exposeStack is set.
  *
- * @param  {Error} err   The error to throw if the operation has failed.
+ * Async iterables, generators and arrays of promises are written one item at a time as they arrive (see frameItems).
+ * Heartbeats are skipped while items are flowing, and a failure while iterating is written as a final error item.
+ *
+ * @param  {Error} err   The error to report if the operation has failed.
  * @param  {*}     data  The return value to render in the response.
  */
 DelayedResponse.prototype.end = function (err, data) {
@@ -151,28 +1017,56 @@ DelayedResponse.prototype.end = function (err, data) {
             delayed.end(null, result);
             return result;
         }, function (err) {
-            // this will throw err
+            // handled like any other error: "error" handlers, the next function, or rendered as problem details
             delayed.end(err);
         });
     }
 
-    // prevent double processing
-    if (this.ended) return console.warn('DelayedResponse.end has been called twice!');
+    // prevent double processing, unless results are expected by a pending job
+    if (this.ended) {
+        if (this.jobId) return this.registry.complete(this.jobId, err, data);
+        return console.warn('DelayedResponse.end has been called twice!');
+    }
     this.ended = true;
+    this.completed = !(err instanceof TimeoutError);
+
+    // items are written as they arrive, the outcome is only known once they are all written
+    var streaming = !err && iterable(data) && !this.listeners('done').length;
+    if (streaming) {
+        return endWithItems.call(this, data);
+    }
+    // streams are piped unless rendered as a frame or an envelope, the outcome is only known once they are read
+    var piping = !err && data instanceof stream.Readable && !this.listeners('done').length &&
+        !this.framed && !this.useEnvelope;
+    if (piping) {
+        return endWithStream.call(this, data);
+    }
+
+    settle.call(this, classify(err));
 
     // restore socket buffering
-    this.res.socket && this.res.socket.setNoDelay(false);
+    noDelay.call(this, false);
+
+    // trailers are sent whenever the response ends
+    if (this.useTrailer) {
+        this.res.addTrailers({ 'X-Result-Status': outcome(err) });
+    }
 
     // handle an error
     if (err) {
-        if (err instanceof TimeoutError && this.listeners('cancel').length) {
+        if (err instanceof TimeoutError && this.registry && !this.started) {
+            return defer.call(this);
+        } else if ((err instanceof TimeoutError || err instanceof AbortError) && this.listeners('cancel').length) {
             return this.emit('cancel');
-        } else if (this.listeners('error').length) {
-            return this.emit('error', err);
-        } else if (this.next) {
-            return this.next(err);
+        } else if (this.framed && !this.listeners('error').length) {
+            return endWithFrame.call(this, 'error', { message: err.message });
+        } else if (this.useEnvelope && !this.listeners('error').length) {
+            return endWithEnvelope.call(this, err);
+        } else if (err instanceof AbortError) {
+            // shutting down without handlers: end the response with no fanfare
+            return this.res.end();
         }
-        throw err;
+        return fail.call(this, err);
     }
 
     // if "done" handlers are attached, they are in charge of ending the response
@@ -180,11 +1074,18 @@ DelayedResponse.prototype.end = function (err, data) {
         return this.emit('done', data);
     }
 
+    // event streams and progress reports deliver results as a single frame
+    if (this.framed) {
+        return endWithFrame.call(this, 'result', data);
+    } else if (this.useEnvelope) {
+        return endWithEnvelope.call(this, null, data);
+    }
+
     // otherwise, end the response with default behavior
     if (typeof data === 'undefined' || data === null) {
         this.res.end();
-    } else if (data instanceof stream.Readable) {
-        data.pipe(this.res);
+    } else if (this.accepts) {
+        endWithSerializer.call(this, data);
     } else if (typeof data === 'string' || Buffer.isBuffer(data)) {
         this.res.end(data);
     } else {
@@ -193,18 +1094,176 @@ DelayedResponse.prototype.end = function (err, data) {
 };
 
 /**
- * Stops long-polling without affecting the response.
+ * Ends this delayed response because the server is shutting down, aborting the work. If a payload is specified, the
+ * response is ended normally with the payload. Otherwise, the response is cancelled like a timeout: the "cancel" event
+ * is fired if attached, or the response is ended with no additional content.
+ *
+ * @param {*} payload The optional return value to render in the response
+ */
+DelayedResponse.prototype.shutdown = function (payload) {
+    if (this.ended) return;
+    var err = new AbortError('shutdown', elapsed.call(this));
+    abortWork.call(this, err);
+    if (typeof payload !== 'undefined') return this.end(null, payload);
+    // results are unknown, same as a timeout
+    this.res.headersSent || (this.res.statusCode = 202);
+    this.end(err);
+};
+
+/**
+ * Stops long-polling without affecting the response. The work is also aborted if it has not completed yet.
  */
 DelayedResponse.prototype.stop = function () {
+    abortWork.call(this, new AbortError('stopped', elapsed.call(this)));
     // stop initial delay
-    clearTimeout(this.timers.initialDelay);
+    this.clock.clearTimeout(this.timers.initialDelay);
     this.timers.initialDelay = null;
-    // stop polling
-    clearInterval(this.timers.poll);
+    // stop polling, either with an interval or a schedule
+    this.clock.clearInterval(this.timers.poll);
+    this.clock.clearTimeout(this.timers.poll);
     this.timers.poll = null;
     // stop timeout
-    clearTimeout(this.timers.timeout);
+    this.clock.clearTimeout(this.timers.timeout);
     this.timers.timeout = null;
+    // stop retrying
+    this.clock.clearTimeout(this.timers.retry);
+    this.timers.retry = null;
+    // stop detecting stalled connections
+    this.clock.clearTimeout(this.timers.stall);
+    this.timers.stall = null;
+    // stop waiting for messages
+    this.subscriptions.splice(0).forEach(function (unsubscribe) {
+        unsubscribe();
+    });
+    // no longer pending
+    this.manager && this.manager.remove(this);
+};
+
+/**
+ * Creates a middleware delaying the response until the specified function completes.
+ *
+ * @param  {Function} fn                       The function to run, receiving the request, the DelayedResponse instance,
+ *                                             a callback handler and the abort signal of the work (shared by every
+ *                                             response attached when coalescing). The function can either invoke the
+ *                                             callback or return a promise.
+ * @param  {Object}   options                  The middleware options
+ * @param  {Number}   options.timeout          The maximum amount of time to wait before cancelling
+ * @param  {Boolean}  options.longPolling      Whether to keep the connection alive with long-polling
+ * @param  {Boolean}  options.eventStream      Whether to keep the connection alive with Server-Sent Events
+ * @param  {Number}   options.interval         The interval at which heartbeats are written, when long-polling
+ * @param  {Number}   options.initialDelay     The initial delay before writing heartbeats, when long-polling
+ * @param  {Boolean}  options.json             Whether to set the "Content-Type" header for returning JSON
+ * @param  {*}        options.negotiate        Whether to negotiate the format of results from the "Accept" header, or
+ *                                             the list of media types allowed
+ * @param  {*}        options.timeoutResponse  The contents to render after a timeout, or a function handling the
+ *                                             response, receiving the request, the response and the instance
+ * @param  {Object}   options.retry            The retry policy of the function (see DelayedResponse.retry)
+ * @param  {Number}   options.stallTimeout     The maximum amount of time writes can stay blocked before the connection
+ *                                             is considered dead (see DelayedResponse.stallTimeout)
+ * @param  {*}        options.prefer           Whether to honor the "Prefer" header of the client, or the policy
+ *                                             clamping the timeout requested (see DelayedResponse.prefer)
+ * @param  {Object}   options.coalesce         The coalescer sharing the work of identical concurrent requests, in which
+ *                                             case the function only runs for the first of them
+ * @return {Function}                          The middleware function
+ */
+DelayedResponse.middleware = function (fn, options) {
+
+    if (typeof fn !== 'function') throw new Error('fn is required');
+    options = options || {};
+
+    return function (req, res, next) {
+
+        var delayed = new DelayedResponse(req, res, next);
+        var work = function (signal, callback) {
+            return fn(req, delayed, callback, signal);
+        };
+
+        options.json && delayed.json();
+        options.retry && delayed.retry(options.retry);
+        typeof options.stallTimeout === 'number' && delayed.stallTimeout(options.stallTimeout);
+        options.prefer && delayed.prefer(options.prefer === true ? null : options.prefer);
+        options.negotiate && delayed.negotiate(Array.isArray(options.negotiate) ? options.negotiate : null);
+
+        if (typeof options.timeoutResponse === 'function') {
+            delayed.on('cancel', function () {
+                options.timeoutResponse(req, res, delayed);
+            });
+        } else if (typeof options.timeoutResponse !== 'undefined') {
+            delayed.on('cancel', function () {
+                var data = options.timeoutResponse;
+                res.end(typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data));
+            });
+        }
+
+        // coalesced work is run once the response is started
+        var own = options.coalesce ? null : work;
+
+        if (options.eventStream) {
+            delayed.startEventStream(options.interval, options.initialDelay, options.timeout, own);
+        } else if (options.longPolling) {
+            delayed.start(options.interval, options.initialDelay, options.timeout, own);
+        } else {
+            delayed.wait(options.timeout, own);
+        }
+
+        options.coalesce && options.coalesce.run(delayed, work);
+    };
 };
 
+/**
+ * Creates a DelayedResponse instance for a raw HTTP/2 stream, as received with the "stream" event of an HTTP/2 server.
+ *
+ * @param  {Http2Stream}     stream  The HTTP/2 stream
+ * @param  {Object}          headers The request headers
+ * @param  {Function}        next    An optional function to handle errors
+ * @return {DelayedResponse}         The new instance
+ */
+DelayedResponse.fromStream = function (stream, headers, next) {
+    var wrapped = http2.fromStream(stream, headers);
+    return new DelayedResponse(wrapped.req, wrapped.res, next);
+};
+
+/**
+ * Publishes a message on a channel, ending the delayed responses waiting for it.
+ *
+ * @param {String}   channel  The channel to publish to
+ * @param {*}        message  The message to publish
+ * @param {Function} callback The callback to invoke once published
+ */
+DelayedResponse.publish = function (channel, message, callback) {
+    DelayedResponse.broker.publish(channel, message, callback);
+};
+
+// schedules the timers of every instance, see lib/clock for the interface to implement
+DelayedResponse.clock = clock.system;
+DelayedResponse.VirtualClock = clock.VirtualClock;
+DelayedResponse.TimeoutError = TimeoutError;
+DelayedResponse.AbortError = AbortError;
+// includes stack traces when rendering errors, for development only
+DelayedResponse.exposeStack = false;
+DelayedResponse.JobRegistry = JobRegistry;
+DelayedResponse.Manager = Manager;
+DelayedResponse.Collector = Collector;
+DelayedResponse.metrics = new Collector();
+DelayedResponse.heartbeats = heartbeats;
+DelayedResponse.preferences = preferences;
+DelayedResponse.Broker = Broker;
+DelayedResponse.broker = new Broker();
+DelayedResponse.Coalescer = Coalescer;
+DelayedResponse.Serializers = Serializers;
+DelayedResponse.serializers = new Serializers();
+DelayedResponse.client = client;
+DelayedResponse.koa = adapters.koa(DelayedResponse);
+DelayedResponse.fastify = adapters.fastify(DelayedResponse);
+DelayedResponse.hapi = adapters.hapi(DelayedResponse);
+
+// testing helpers are only loaded when used
+var testing;
+Object.defineProperty(DelayedResponse, 'testing', {
+    enumerable: true,
+    get: function () {
+        return testing || (testing = require('./lib/testing')(DelayedResponse));
+    }
+});
+
 module.exports = DelayedResponse;
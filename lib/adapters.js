@@ -0,0 +1,126 @@
+/**
+ * Adapters for Koa, Fastify and hapi. Every adapter builds DelayedResponse instances from the context objects of the
+ * framework, and exposes a "completion" promise to return from the handler: the promise is resolved once the response
+ * has ended, or rejected with errors to hand over to the error handling of the framework. Errors occurring after
+ * headers are sent can no longer be rendered, so they are logged with the framework instead.
+ *
+ * Adapters are created with the DelayedResponse constructor, to avoid a circular dependency.
+ */
+
+function handle(target, invoke) {
+    var res = target.res;
+    return new Promise(function (resolve, reject) {
+        var done = function () {
+            resolve(target.value);
+        };
+        res.on('finish', done).on('close', done);
+        invoke(function (err) {
+            // the framework can only render errors before headers are sent
+            if (!res.headersSent) {
+                target.restore && target.restore();
+                return reject(err);
+            }
+            target.report(err);
+            res.end();
+        });
+    });
+}
+
+function adapter(DelayedResponse, name, context) {
+
+    var create = function () {
+        var target = context.apply(null, arguments);
+        var delayed;
+        var completion = handle(target, function (next) {
+            delayed = new DelayedResponse(target.req, target.res, next);
+        });
+        delayed.completion = completion;
+        return delayed;
+    };
+
+    create[name] = function (fn, options) {
+        if (typeof fn !== 'function') throw new Error('fn is required');
+        return function (request) {
+            var target = context.apply(null, arguments);
+            // the middleware is created for every request, since the work function can run later (e.g. when retried)
+            var middleware = DelayedResponse.middleware(function (req, delayed, callback) {
+                return fn(request, delayed, callback);
+            }, options);
+            return handle(target, function (next) {
+                middleware(target.req, target.res, next);
+            });
+        };
+    };
+
+    return create;
+}
+
+/**
+ * Creates the Koa adapter. The response is written directly, bypassing the response handling of Koa.
+ *
+ * @param  {Function} DelayedResponse The DelayedResponse constructor
+ * @return {Function}                 The function creating a DelayedResponse instance from a Koa context, with a
+ *                                    "middleware" function mirroring DelayedResponse.middleware
+ */
+exports.koa = function (DelayedResponse) {
+    return adapter(DelayedResponse, 'middleware', function (ctx) {
+        ctx.respond = false;
+        // Koa responds with HTTP 404 unless a body is set
+        ctx.res.statusCode = 200;
+        return {
+            req: ctx.req,
+            res: ctx.res,
+            report: function (err) {
+                ctx.app.emit('error', err, ctx);
+            },
+            // let error handling middleware render errors
+            restore: function () {
+                ctx.respond = true;
+            }
+        };
+    });
+};
+
+/**
+ * Creates the Fastify adapter. Headers already set on the reply are copied to the response, which is then written
+ * directly.
+ *
+ * @param  {Function} DelayedResponse The DelayedResponse constructor
+ * @return {Function}                 The function creating a DelayedResponse instance from a Fastify request and reply,
+ *                                    with a "handler" function mirroring DelayedResponse.middleware
+ */
+exports.fastify = function (DelayedResponse) {
+    return adapter(DelayedResponse, 'handler', function (request, reply) {
+        var headers = reply.getHeaders();
+        Object.keys(headers).forEach(function (name) {
+            reply.raw.setHeader(name, headers[name]);
+        });
+        return {
+            req: request.raw,
+            res: reply.raw,
+            report: function (err) {
+                request.log.error({ err: err }, 'delayed response failed after headers were sent');
+            }
+        };
+    });
+};
+
+/**
+ * Creates the hapi adapter. The completion promise resolves with "h.abandon", since the response is written directly.
+ *
+ * @param  {Function} DelayedResponse The DelayedResponse constructor
+ * @return {Function}                 The function creating a DelayedResponse instance from a hapi request and response
+ *                                    toolkit, with a "handler" function mirroring DelayedResponse.middleware
+ */
+exports.hapi = function (DelayedResponse) {
+    return adapter(DelayedResponse, 'handler', function (request, h) {
+        return {
+            req: request.raw.req,
+            res: request.raw.res,
+            value: h.abandon,
+            report: function (err) {
+                request.log(['error'], err);
+            }
+        };
+    });
+};
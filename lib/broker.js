@@ -0,0 +1,93 @@
+var clock = require('./clock');
+
+/**
+ * Creates a new in-process message broker, used to resolve delayed responses waiting on a channel. Recent messages are
+ * kept for every channel, so that subscribers can receive messages published since a given cursor. The history of a
+ * channel is dropped once it has had no subscribers for the TTL, so that short-lived channels don't accumulate.
+ *
+ * Any object implementing "publish" and "subscribe" with the same signatures can be used as a broker, for instance to
+ * relay messages from Redis or another external broker.
+ *
+ * @param {Object} options         The broker options
+ * @param {Number} options.history The number of messages to keep for every channel (defaults to 100)
+ * @param {Number} options.ttl     The amount of time to keep the history of channels without subscribers, in
+ *                                 milliseconds (defaults to 5 minutes)
+ * @param {Object} options.clock   The clock scheduling evictions (defaults to the system clock)
+ */
+var Broker = function (options) {
+    options = options || {};
+    this.history = typeof options.history === 'undefined' ? 100 : options.history;
+    this.ttl = options.ttl || 300000;
+    this.clock = options.clock || clock.system;
+    this.cursor = 0;
+    this.channels = {};
+};
+
+/**
+ * Publishes a message on a channel.
+ *
+ * @param {String}   channel  The channel to publish to
+ * @param {*}        message  The message to publish
+ * @param {Function} callback The callback to invoke once published, receiving the message cursor
+ */
+Broker.prototype.publish = function (channel, message, callback) {
+    var state = channelOf.call(this, channel);
+    var entry = { cursor: ++this.cursor, message: message };
+    state.messages.push(entry);
+    state.messages.length > this.history && state.messages.shift();
+    // listeners may unsubscribe while being notified
+    state.listeners.slice().forEach(function (listener) {
+        listener(entry.message, entry.cursor);
+    });
+    state.listeners.length || evict.call(this, channel, state);
+    callback && callback(null, entry.cursor);
+};
+
+/**
+ * Subscribes to messages published on a channel.
+ *
+ * @param  {String}   channel  The channel to subscribe to
+ * @param  {*}        since    The cursor of the last message received, to receive the messages published since
+ * @param  {Function} listener The function invoked for every message, receiving the message and its cursor
+ * @return {Function}          The function to invoke to unsubscribe
+ */
+Broker.prototype.subscribe = function (channel, since, listener) {
+    var broker = this;
+    var state = channelOf.call(this, channel);
+    since = parseInt(since, 10);
+    if (!isNaN(since)) {
+        state.messages.forEach(function (entry) {
+            entry.cursor > since && listener(entry.message, entry.cursor);
+        });
+    }
+    state.listeners.push(listener);
+    this.clock.clearTimeout(state.timer);
+    state.timer = null;
+    return function () {
+        var index = state.listeners.indexOf(listener);
+        index === -1 || state.listeners.splice(index, 1);
+        if (state.listeners.length || broker.channels[channel] !== state) return;
+        if (state.messages.length) return evict.call(broker, channel, state);
+        delete broker.channels[channel];
+    };
+};
+
+function channelOf(channel) {
+    if (!this.channels.hasOwnProperty(channel)) {
+        this.channels[channel] = { messages: [], listeners: [], timer: null };
+    }
+    return this.channels[channel];
+}
+
+function evict(channel, state) {
+    var broker = this;
+    // the TTL starts over with every message published while nobody listens
+    this.clock.clearTimeout(state.timer);
+    state.timer = this.clock.setTimeout(function () {
+        delete broker.channels[channel];
+    }, this.ttl);
+    // eviction timers should not keep the process alive
+    state.timer && state.timer.unref && state.timer.unref();
+}
+
+module.exports = Broker;
@@ -0,0 +1,322 @@
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var clock = require('./clock');
+
+/**
+ * Creates a new request for a delayed response, resolving with the parsed result once available. Understands
+ * long-polling heartbeats, progress frames, Server-Sent Events, result envelopes and HTTP 202 semantics: a 202 without
+ * content means the result is not available yet, and the request is retried (or the "Location" header followed).
+ *
+ * @param {Object|String} options            The request options, or the URL to request
+ * @param {String}        options.url        The URL to request
+ * @param {String}        options.method     The HTTP method to use (defaults to GET)
+ * @param {Object}        options.headers    The HTTP headers to send
+ * @param {*}             options.body       The request body, objects are sent as JSON
+ * @param {Number}        options.retries    The maximum number of retries when the result is not available yet
+ *                                           (defaults to 10)
+ * @param {Number}        options.retryDelay The delay between retries, when not specified with "Retry-After"
+ *                                           (defaults to 1000 msec)
+ * @param {Number}        options.timeout    The maximum amount of time to wait for the result
+ * @param {Object}        options.clock      The clock scheduling the timeout and retries (defaults to the system
+ *                                           clock)
+ */
+var DelayedRequest = function (options) {
+
+    if (typeof options === 'string') options = { url: options };
+    if (!options || !options.url) throw new Error('url is required');
+
+    EventEmitter.call(this);
+
+    var request = this;
+    this.options = options;
+    this.clock = options.clock || clock.system;
+    this.retries = 0;
+    this.timers = {};
+    this.promise = new Promise(function (resolve, reject) {
+        request.resolve = resolve;
+        request.reject = reject;
+    });
+
+    // setup the cancel timer
+    if (options.timeout) {
+        this.timers.timeout = this.clock.setTimeout(function () {
+            var err = new Error('timeout occurred');
+            err.code = 'ETIMEDOUT';
+            request.abort(err);
+        }, options.timeout);
+    }
+
+    var body = options.body;
+    var headers = options.headers || {};
+    if (body && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+        body = JSON.stringify(body);
+        headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+    }
+    send.call(this, options.url, options.method || 'GET', headers, body);
+};
+util.inherits(DelayedRequest, EventEmitter);
+
+/**
+ * Attaches callbacks for the resolution and/or rejection of the request.
+ *
+ * @param  {Function} onFulfilled The callback to execute when the result is available
+ * @param  {Function} onRejected  The callback to execute when the request has failed
+ * @return {Promise}              A promise for the completion of the callbacks
+ */
+DelayedRequest.prototype.then = function (onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected);
+};
+
+/**
+ * Attaches a callback for the rejection of the request.
+ *
+ * @param  {Function} onRejected The callback to execute when the request has failed
+ * @return {Promise}             A promise for the completion of the callback
+ */
+DelayedRequest.prototype.catch = function (onRejected) {
+    return this.promise.catch(onRejected);
+};
+
+/**
+ * Aborts the request, rejecting with the specified error.
+ *
+ * @param {Error} err The reason for aborting (defaults to an "aborted" error)
+ */
+DelayedRequest.prototype.abort = function (err) {
+    if (this.completed) return;
+    this.req && this.req.abort();
+    complete.call(this, err || new Error('aborted'));
+};
+
+function complete(err, result) {
+    if (this.completed) return;
+    this.completed = true;
+    this.clock.clearTimeout(this.timers.timeout);
+    this.clock.clearTimeout(this.timers.retry);
+    if (err) return this.reject(err);
+    this.resolve(result);
+}
+
+function send(location, method, headers, body) {
+    var request = this;
+    var options = url.parse(location);
+    options.method = method;
+    options.headers = headers;
+    var transport = options.protocol === 'https:' ? https : http;
+    this.req = transport.request(options, function (res) {
+        receive.call(request, location, res, function retry(location) {
+            // results are polled with GET once redirected
+            if (location) {
+                return send.call(request, location, 'GET', request.options.headers || {});
+            }
+            send.call(request, request.options.url, method, headers, body);
+        });
+    });
+    this.req.on('error', function (err) {
+        complete.call(request, err);
+    });
+    this.req.end(body);
+}
+
+function receive(location, res, retry) {
+    var request = this;
+    var eventStream = /^text\/event-stream/.test(res.headers['content-type']);
+    var text = '';
+    var frames = false;
+    var result;
+
+    this.emit('response', res);
+    res.setEncoding('utf8');
+
+    res.on('data', function (chunk) {
+        text += chunk;
+        if (eventStream) {
+            // process every complete event
+            var index;
+            while ((index = text.indexOf('\n\n')) !== -1) {
+                var event = parseEvent(text.slice(0, index));
+                text = text.slice(index + 2);
+                if (!event.event) {
+                    request.emit('heartbeat');
+                } else if (event.event === 'progress') {
+                    var progress = parse(event.data, 'application/json');
+                    request.emit('progress', progress.value, progress.message);
+                } else {
+                    result = event;
+                }
+            }
+            return;
+        }
+        // process heartbeats and every complete progress frame
+        while (true) {
+            var trimmed = text.replace(/^ +/, '');
+            for (var i = trimmed.length; i < text.length; i++) {
+                request.emit('heartbeat');
+            }
+            text = trimmed;
+            var newline = text.indexOf('\n');
+            if (newline === -1 || text.indexOf('{"progress":') !== 0) break;
+            var frame = JSON.parse(text.slice(0, newline));
+            text = text.slice(newline + 1);
+            frames = true;
+            request.emit('progress', frame.progress.value, frame.progress.message);
+        }
+    }).on('end', function () {
+
+        if (request.completed) return;
+
+        if (eventStream) {
+            if (!result) return complete.call(request, failure('event stream ended without results', res));
+            var data = parse(result.data);
+            if (result.event === 'error') return complete.call(request, failure(data && data.message, res, data));
+            return complete.call(request, null, data);
+        }
+
+        // result frames are always the last line of the response
+        if (frames || isFrame(text)) {
+            var frame = parse(text, 'application/json');
+            if (!frame || typeof frame !== 'object') return complete.call(request, failure('incomplete response', res));
+            if ('error' in frame) return complete.call(request, failure(frame.error.message, res, frame));
+            return complete.call(request, null, frame.result);
+        }
+
+        var body = parse(text, res.headers['content-type']);
+
+        // HTTP 202 without results: retry later, or follow the job status URL
+        if (res.statusCode === 202 && (!text || (res.headers.location && body && body.status === 'pending'))) {
+            if (request.retries++ >= (request.options.retries || 10)) {
+                return complete.call(request, failure('too many retries', res));
+            }
+            var delay = retryDelay(res.headers['retry-after'], request.clock);
+            if (isNaN(delay)) delay = request.options.retryDelay || 1000;
+            var next = res.headers.location && url.resolve(location, res.headers.location);
+            request.emit('retry', request.retries, delay);
+            request.timers.retry = request.clock.setTimeout(function () {
+                retry(next);
+            }, delay);
+            return;
+        }
+
+        // problem details (RFC 7807), also written in-band once long-polling has sent HTTP 202
+        if (/^application\/problem\+json/.test(res.headers['content-type']) || isProblem(body)) {
+            var problem = body && typeof body === 'object' ? body : {};
+            var error = failure(problem.detail || problem.title || http.STATUS_CODES[res.statusCode], res, body);
+            if (problem.code) error.code = problem.code;
+            return complete.call(request, error);
+        }
+
+        if (res.statusCode >= 400) {
+            var message = body && (body.error && body.error.message || body.error || body.message);
+            return complete.call(request, failure(message || http.STATUS_CODES[res.statusCode], res, body));
+        }
+
+        // unwrap result envelopes
+        if (isEnvelope(body)) {
+            if (body.status === 'ok') return complete.call(request, null, body.result);
+            var err = failure(body.error && body.error.message, res, body);
+            if (body.status === 'timeout') err.code = 'ETIMEDOUT';
+            return complete.call(request, err);
+        }
+
+        complete.call(request, null, body);
+    }).on('error', function (err) {
+        complete.call(request, err);
+    });
+}
+
+function retryDelay(retryAfter, clock) {
+    // "Retry-After" is either a number of seconds or an HTTP date
+    if (!retryAfter) return NaN;
+    if (/^[\d.]+$/.test(retryAfter)) return parseFloat(retryAfter) * 1000;
+    return Math.max(Date.parse(retryAfter) - clock.now(), 0);
+}
+
+function parseEvent(text) {
+    var event = {};
+    var data = [];
+    text.split(/\r\n|\r|\n/).forEach(function (line) {
+        var index = line.indexOf(':');
+        // lines starting with a colon are comments
+        if (index === 0) return;
+        var field = index === -1 ? line : line.slice(0, index);
+        var value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+        if (field === 'data') {
+            data.push(value);
+        } else if (field === 'event' || field === 'id') {
+            event[field] = value;
+        }
+    });
+    event.data = data.join('\n');
+    return event;
+}
+
+function parse(text, contentType) {
+    if (!text) return undefined;
+    if (contentType && !/json/.test(contentType)) return text;
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return text;
+    }
+}
+
+function isFrame(text) {
+    if (!/^\{"(result|error)":.*\}\n$/.test(text)) return false;
+    try {
+        return Object.keys(JSON.parse(text)).length === 1;
+    } catch (err) {
+        return false;
+    }
+}
+
+function isEnvelope(body) {
+    if (!body || typeof body !== 'object') return false;
+    if (['ok', 'error', 'timeout'].indexOf(body.status) === -1) return false;
+    return Object.keys(body).every(function (key) {
+        return key === 'status' || key === 'result' || key === 'error';
+    });
+}
+
+function isProblem(body) {
+    return !!body && typeof body === 'object' && typeof body.type === 'string' && typeof body.title === 'string' &&
+        typeof body.status === 'number';
+}
+
+function failure(message, res, body) {
+    var err = new Error(message || 'request failed');
+    err.statusCode = res.statusCode;
+    err.body = body;
+    return err;
+}
+
+/**
+ * Requests a delayed response.
+ *
+ * @param  {Object|String}  options The request options, or the URL to request (see DelayedRequest)
+ * @return {DelayedRequest}         The request, which is also a promise for the result
+ */
+exports.request = function (options) {
+    return new DelayedRequest(options);
+};
+
+/**
+ * Requests a delayed response with GET.
+ *
+ * @param  {String}         location The URL to request
+ * @param  {Object}         options  The request options (see DelayedRequest)
+ * @return {DelayedRequest}          The request, which is also a promise for the result
+ */
+exports.get = function (location, options) {
+    var copy = {};
+    Object.keys(options || {}).forEach(function (key) {
+        copy[key] = options[key];
+    });
+    copy.url = location;
+    copy.method = 'GET';
+    return new DelayedRequest(copy);
+};
+
+exports.DelayedRequest = DelayedRequest;
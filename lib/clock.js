@@ -0,0 +1,107 @@
+/**
+ * Clocks scheduling the timers of delayed responses. A clock is an object implementing "now", "setTimeout",
+ * "clearTimeout", "setInterval" and "clearInterval" like their global counterparts. The system clock is used by
+ * default, while the virtual clock lets tests control the passing of time.
+ */
+
+/**
+ * The system clock, using Date.now and the global timer functions.
+ */
+exports.system = {
+    now: function () {
+        return Date.now();
+    },
+    setTimeout: function (fn, delay) {
+        return setTimeout(fn, delay);
+    },
+    clearTimeout: function (timer) {
+        clearTimeout(timer);
+    },
+    setInterval: function (fn, interval) {
+        return setInterval(fn, interval);
+    },
+    clearInterval: function (timer) {
+        clearInterval(timer);
+    }
+};
+
+/**
+ * Creates a virtual clock, where time only passes with "advance". Timers are run synchronously in the order they are
+ * due, and timers due at the same time run in the order they were scheduled.
+ *
+ * @param {Number} now The initial time of the clock (defaults to 0)
+ */
+var VirtualClock = function (now) {
+    this.time = now || 0;
+    this.timers = [];
+    this.sequence = 0;
+};
+
+VirtualClock.prototype.now = function () {
+    return this.time;
+};
+
+VirtualClock.prototype.setTimeout = function (fn, delay) {
+    var timer = { id: ++this.sequence, fn: fn, due: this.time + Math.max(delay || 0, 0) };
+    this.timers.push(timer);
+    return timer.id;
+};
+
+VirtualClock.prototype.setInterval = function (fn, interval) {
+    var id = this.setTimeout(fn, interval);
+    this.find(id).interval = Math.max(interval || 0, 1);
+    return id;
+};
+
+VirtualClock.prototype.clearTimeout = VirtualClock.prototype.clearInterval = function (id) {
+    this.timers = this.timers.filter(function (timer) {
+        return timer.id !== id;
+    });
+};
+
+VirtualClock.prototype.find = function (id) {
+    return this.timers.filter(function (timer) {
+        return timer.id === id;
+    })[0];
+};
+
+/**
+ * Returns the number of timers scheduled.
+ *
+ * @return {Number} The number of pending timers, including intervals
+ */
+VirtualClock.prototype.pending = function () {
+    return this.timers.length;
+};
+
+/**
+ * Advances the clock, running every timer due in the meantime. Timers scheduled while advancing also run if they are
+ * due before the new time.
+ *
+ * @param  {Number}       ms The amount of time to advance by
+ * @return {VirtualClock}    The same instance, for chaining calls
+ */
+VirtualClock.prototype.advance = function (ms) {
+    var target = this.time + ms;
+    var timer;
+    while ((timer = this.due(target))) {
+        this.time = timer.due;
+        if (timer.interval) {
+            timer.due += timer.interval;
+        } else {
+            this.clearTimeout(timer.id);
+        }
+        timer.fn();
+    }
+    this.time = target;
+    return this;
+};
+
+VirtualClock.prototype.due = function (target) {
+    return this.timers.reduce(function (next, timer) {
+        if (timer.due > target) return next;
+        return !next || timer.due < next.due || timer.due === next.due && timer.id < next.id ? timer : next;
+    }, null);
+};
+
+exports.VirtualClock = VirtualClock;
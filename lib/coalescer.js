@@ -0,0 +1,114 @@
+var clock = require('./clock');
+
+/**
+ * Creates a new coalescer, sharing the work of identical concurrent requests. Requests with the same key attach to the
+ * work already in progress, and every attached response is ended with the same result or error. Each response keeps
+ * its own timeout, heartbeats and abort handling, and the work is only aborted once every response has gone away.
+ *
+ * @param {Object}   options       The coalescer options
+ * @param {Function} options.key   The function returning the key of a request (defaults to the method and URL)
+ * @param {Number}   options.cache The amount of time to keep results after completion, in milliseconds (defaults to 0)
+ * @param {Object}   options.clock The clock scheduling the eviction of results (defaults to the system clock)
+ */
+var Coalescer = function (options) {
+    options = options || {};
+    this.key = options.key || function (req) {
+        return req.method + ' ' + req.url;
+    };
+    this.cache = options.cache || 0;
+    this.clock = options.clock || clock.system;
+    this.inflight = {};
+    this.results = {};
+};
+
+/**
+ * Runs the work for a delayed response, or attaches the response to identical work already in progress.
+ *
+ * @param {DelayedResponse} delayed The delayed response to end with the results
+ * @param {Function}        work    The function to run, receiving an abort signal and a callback. The function can
+ *                                  either invoke the callback or return a promise. Results must not be streams, since
+ *                                  they are shared between responses.
+ */
+Coalescer.prototype.run = function (delayed, work) {
+
+    var coalescer = this;
+    var key = String(this.key(delayed.req));
+
+    // completed recently
+    if (this.results.hasOwnProperty(key)) {
+        var data = this.results[key];
+        return process.nextTick(function () {
+            delayed.ended || delayed.end(null, data);
+        });
+    }
+
+    var entry = this.inflight[key];
+    if (!entry) {
+        entry = this.inflight[key] = { subscribers: [] };
+        if (typeof AbortController !== 'undefined') {
+            entry.controller = new AbortController();
+        }
+        entry.subscribers.push(delayed);
+        execute.call(this, key, entry, work);
+    } else {
+        entry.subscribers.push(delayed);
+    }
+
+    // the response has gone away (aborted, timed out or stopped)
+    delayed.signal && delayed.signal.addEventListener('abort', function () {
+        var index = entry.subscribers.indexOf(delayed);
+        index === -1 || entry.subscribers.splice(index, 1);
+        if (!entry.subscribers.length && !entry.done && entry.controller) {
+            // later arrivals start over
+            entry.done = true;
+            delete coalescer.inflight[key];
+            entry.controller.abort(delayed.signal.reason);
+        }
+    });
+};
+
+function execute(key, entry, work) {
+
+    var coalescer = this;
+    var callback = function (err, data) {
+
+        if (entry.done) return;
+        entry.done = true;
+        delete coalescer.inflight[key];
+
+        // aborted by something else than the shared signal: attached responses still expect results
+        if (err && err.name === 'AbortError' && !(entry.controller && entry.controller.signal.aborted)) {
+            var reason = err;
+            err = new Error('coalesced work aborted: ' + reason.message);
+            err.cause = reason;
+        }
+
+        if (!err && coalescer.cache) {
+            coalescer.results[key] = data;
+            var timer = coalescer.clock.setTimeout(function () {
+                delete coalescer.results[key];
+            }, coalescer.cache);
+            // eviction timers should not keep the process alive
+            timer && timer.unref && timer.unref();
+        }
+
+        entry.subscribers.slice().forEach(function (delayed) {
+            delayed.ended || delayed.end(err, data);
+        });
+    };
+
+    var result;
+    try {
+        result = work(entry.controller && entry.controller.signal, callback);
+    } catch (err) {
+        return callback(err);
+    }
+    // detect a promise-like object
+    if (result && typeof result.then === 'function') {
+        result.then(function (data) {
+            callback(null, data);
+        }, callback);
+    }
+}
+
+module.exports = Coalescer;
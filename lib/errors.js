@@ -0,0 +1,79 @@
+/**
+ * Errors of delayed responses, and their rendering as "problem details" (RFC 7807). Both error types report the time
+ * elapsed since the response started with their "elapsed" property.
+ */
+
+var http = require('http');
+var util = require('util');
+
+/**
+ * The error ending a delayed response when the timeout occurs.
+ *
+ * @param {String} message The error message
+ * @param {Number} elapsed The time elapsed since the response started, in milliseconds
+ */
+var TimeoutError = function (message, elapsed) {
+    Error.call(this);
+    Error.captureStackTrace && Error.captureStackTrace(this, TimeoutError);
+    this.message = message;
+    this.elapsed = elapsed;
+};
+util.inherits(TimeoutError, Error);
+TimeoutError.prototype.name = 'TimeoutError';
+TimeoutError.prototype.code = 'ETIMEDOUT';
+
+/**
+ * The error aborting the work of a delayed response, when the request is aborted, the response is stopped or the
+ * server is shutting down.
+ *
+ * @param {String} message The error message
+ * @param {Number} elapsed The time elapsed since the response started, in milliseconds
+ */
+var AbortError = function (message, elapsed) {
+    Error.call(this);
+    Error.captureStackTrace && Error.captureStackTrace(this, AbortError);
+    this.message = message;
+    this.elapsed = elapsed;
+};
+util.inherits(AbortError, Error);
+AbortError.prototype.name = 'AbortError';
+AbortError.prototype.code = 'ABORT_ERR';
+
+/**
+ * Returns the HTTP status of an error, from its "status" or "statusCode" property. Timeouts are reported with HTTP
+ * 504 (Gateway Timeout), since their outcome is unknown.
+ *
+ * @param  {Error}  err The error
+ * @return {Number}     The HTTP status, or 500 if the error has no valid error status
+ */
+var status = function (err) {
+    if (err instanceof TimeoutError) return 504;
+    var code = err.status || err.statusCode;
+    return typeof code === 'number' && code >= 400 && code < 600 ? code : 500;
+};
+
+/**
+ * Builds the problem details of an error, as rendered with the "application/problem+json" media type.
+ *
+ * @param  {Error}   err         The error
+ * @param  {Number}  status      The HTTP status of the response
+ * @param  {Boolean} exposeStack Whether to include the stack trace of the error
+ * @return {Object}              The problem details
+ */
+var problem = function (err, status, exposeStack) {
+    var details = {
+        type: 'about:blank',
+        title: http.STATUS_CODES[status] || 'Unknown Error',
+        status: status,
+        detail: err.message
+    };
+    err.code && (details.code = err.code);
+    typeof err.elapsed === 'number' && (details.elapsed = err.elapsed);
+    exposeStack && err.stack && (details.stack = err.stack);
+    return details;
+};
+
+exports.TimeoutError = TimeoutError;
+exports.AbortError = AbortError;
+exports.status = status;
+exports.problem = problem;
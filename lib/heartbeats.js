@@ -0,0 +1,99 @@
+/**
+ * Heartbeat schedules and platform presets. A schedule is an object with a "next" function returning the delay before
+ * the next heartbeat, receiving the number of heartbeats already written. Schedules also expose the longest delay they
+ * can return with a "max" property, which is used to verify timings against platform limits.
+ */
+
+/**
+ * Creates a schedule writing heartbeats at a fixed interval.
+ *
+ * @param  {Number} interval The interval between heartbeats
+ * @return {Object}          The heartbeat schedule
+ */
+exports.fixed = function (interval) {
+    return {
+        next: function () {
+            return interval;
+        },
+        max: interval
+    };
+};
+
+/**
+ * Creates a schedule increasing the interval between heartbeats exponentially, up to a maximum.
+ *
+ * @param  {Number} initial The initial interval between heartbeats
+ * @param  {Number} factor  The factor to apply after every heartbeat (defaults to 2)
+ * @param  {Number} max     The maximum interval between heartbeats (defaults to no limit)
+ * @return {Object}         The heartbeat schedule
+ */
+exports.exponential = function (initial, factor, max) {
+    factor = factor || 2;
+    max = max || Infinity;
+    return {
+        next: function (count) {
+            return Math.min(initial * Math.pow(factor, count), max);
+        },
+        max: max
+    };
+};
+
+/**
+ * Creates a schedule randomly shortening the intervals of another schedule, so that heartbeats of concurrent responses
+ * are spread over time. Intervals are never longer than the original schedule.
+ *
+ * @param  {Object|Number} schedule The schedule to apply jitter to, or a fixed interval
+ * @param  {Number}        ratio    The maximum ratio of the interval to remove (defaults to 0.2)
+ * @return {Object}                 The heartbeat schedule
+ */
+exports.jittered = function (schedule, ratio) {
+    var original = typeof schedule === 'number' ? exports.fixed(schedule) : schedule;
+    ratio = typeof ratio === 'undefined' ? 0.2 : ratio;
+    return {
+        next: function (count) {
+            var interval = original.next(count);
+            return interval - interval * ratio * Math.random();
+        },
+        max: original.max
+    };
+};
+
+/**
+ * Timeouts of common platforms, along with recommended timings. "firstByte" is the maximum delay before the first byte
+ * of the response, and "idle" the maximum delay between two writes.
+ */
+exports.presets = {
+    // https://devcenter.heroku.com/articles/request-timeout
+    heroku: { name: 'heroku', firstByte: 30000, idle: 55000, initialDelay: 5000, interval: 20000 },
+    // default idle timeout of AWS Application Load Balancers
+    alb: { name: 'alb', firstByte: 60000, idle: 60000, initialDelay: 10000, interval: 30000 },
+    // default "proxy_read_timeout" of nginx
+    nginx: { name: 'nginx', firstByte: 60000, idle: 60000, initialDelay: 10000, interval: 30000 }
+};
+
+/**
+ * Verifies heartbeat timings against the limits of a platform.
+ *
+ * @param  {Object}        preset       The platform preset
+ * @param  {Object|Number} interval     The heartbeat schedule, or a fixed interval
+ * @param  {Number}        initialDelay The initial delay before starting the polling process
+ * @return {Array}                      The list of problems found, empty if timings are valid
+ */
+exports.check = function (preset, interval, initialDelay) {
+
+    var schedule = typeof interval === 'number' ? exports.fixed(interval) : interval;
+    var firstByte = (initialDelay || 0) + schedule.next(0);
+    var problems = [];
+
+    if (preset.firstByte && firstByte >= preset.firstByte) {
+        problems.push('first heartbeat after ' + firstByte + 'ms exceeds the ' + preset.firstByte +
+            'ms first byte timeout of ' + preset.name);
+    }
+    // schedules without a "max" property cannot be verified
+    if (preset.idle && schedule.max >= preset.idle) {
+        problems.push('heartbeat interval of ' + schedule.max + 'ms exceeds the ' + preset.idle +
+            'ms idle timeout of ' + preset.name);
+    }
+
+    return problems;
+};
@@ -0,0 +1,163 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+/**
+ * HTTP/2 support. Responses of the "http2" compatibility API are used directly, while raw Http2Stream instances are
+ * wrapped with objects implementing the subset of ClientRequest and ServerResponse used by DelayedResponse.
+ */
+
+/**
+ * Returns whether a response is sent over HTTP/2, either with the compatibility API or a wrapped Http2Stream.
+ *
+ * @param  {Object}  res The HTTP response
+ * @return {Boolean}     True if the response is sent over HTTP/2
+ */
+exports.isHttp2 = function (res) {
+    return !!(res.stream && typeof res.stream.respond === 'function');
+};
+
+/**
+ * Sends a PING frame on the session of an HTTP/2 response, sending response headers first if needed.
+ *
+ * @param  {Object}  res The HTTP/2 response
+ * @return {Boolean}     True if the PING frame was sent
+ */
+exports.ping = function (res) {
+    var session = res.stream.session;
+    if (!session || session.destroyed || res.stream.destroyed) return false;
+    // the client would otherwise have no sign of the response
+    res.headersSent || res.flushHeaders();
+    return session.ping(function () {});
+};
+
+/**
+ * Creates a request object for a raw Http2Stream.
+ *
+ * @param {Http2Stream} stream  The HTTP/2 stream
+ * @param {Object}      headers The request headers, including pseudo-headers
+ */
+var StreamRequest = function (stream, headers) {
+    var req = this;
+    EventEmitter.call(this);
+    this.stream = stream;
+    this.headers = headers;
+    this.method = headers[':method'];
+    this.url = headers[':path'];
+    this.httpVersion = '2.0';
+    stream.on('aborted', function () {
+        req.emit('aborted');
+    }).on('close', function () {
+        req.emit('close');
+    });
+};
+util.inherits(StreamRequest, EventEmitter);
+
+/**
+ * Creates a response object for a raw Http2Stream. Headers are sent with the first write, and declared trailers are
+ * sent once the response ends.
+ *
+ * @param {Http2Stream} stream The HTTP/2 stream
+ */
+var StreamResponse = function (stream) {
+    var res = this;
+    EventEmitter.call(this);
+    this.stream = stream;
+    this.statusCode = 200;
+    this.finished = false;
+    this.headers = {};
+    this.trailers = {};
+    stream.on('drain', function () {
+        res.emit('drain');
+    }).on('wantTrailers', function () {
+        stream.sendTrailers(res.trailers);
+    }).on('finish', function () {
+        res.emit('finish');
+    }).on('close', function () {
+        res.emit('close');
+    });
+};
+util.inherits(StreamResponse, EventEmitter);
+
+Object.defineProperty(StreamResponse.prototype, 'headersSent', {
+    get: function () {
+        return this.stream.headersSent;
+    }
+});
+
+Object.defineProperty(StreamResponse.prototype, 'destroyed', {
+    get: function () {
+        return this.stream.destroyed;
+    }
+});
+
+StreamResponse.prototype.setHeader = function (name, value) {
+    if (this.headersSent) throw new Error('headers already sent');
+    this.headers[name.toLowerCase()] = value;
+};
+
+StreamResponse.prototype.getHeader = function (name) {
+    return this.headers[name.toLowerCase()];
+};
+
+StreamResponse.prototype.removeHeader = function (name) {
+    delete this.headers[name.toLowerCase()];
+};
+
+StreamResponse.prototype.addTrailers = function (trailers) {
+    extend(this.trailers, trailers);
+};
+
+StreamResponse.prototype.flushHeaders = function () {
+    if (this.headersSent || this.stream.destroyed) return;
+    var headers = extend({ ':status': this.statusCode }, this.headers);
+    // trailers can only be sent if declared when responding
+    this.stream.respond(headers, { waitForTrailers: !!this.headers.trailer });
+};
+
+StreamResponse.prototype.writeHead = function (statusCode, headers) {
+    this.statusCode = statusCode;
+    extend(this.headers, headers || {});
+    this.flushHeaders();
+    return this;
+};
+
+StreamResponse.prototype.write = function (chunk, encoding, callback) {
+    if (this.stream.destroyed) return false;
+    this.flushHeaders();
+    return this.stream.write(chunk, encoding, callback);
+};
+
+StreamResponse.prototype.end = function (chunk, encoding, callback) {
+    if (this.finished) return this;
+    this.finished = true;
+    if (this.stream.destroyed) return this;
+    this.flushHeaders();
+    this.stream.end(chunk, encoding, callback);
+    return this;
+};
+
+StreamResponse.prototype.destroy = function (err) {
+    this.stream.destroy(err);
+    return this;
+};
+
+function extend(target, source) {
+    Object.keys(source).forEach(function (name) {
+        target[name.toLowerCase()] = source[name];
+    });
+    return target;
+}
+
+/**
+ * Wraps a raw Http2Stream, returning request and response objects.
+ *
+ * @param  {Http2Stream} stream  The HTTP/2 stream
+ * @param  {Object}      headers The request headers, as received with the "stream" event
+ * @return {Object}              The "req" and "res" objects
+ */
+exports.fromStream = function (stream, headers) {
+    return { req: new StreamRequest(stream, headers), res: new StreamResponse(stream) };
+};
+
+exports.StreamRequest = StreamRequest;
+exports.StreamResponse = StreamResponse;
@@ -0,0 +1,196 @@
+var crypto = require('crypto');
+var clock = require('./clock');
+
+/**
+ * Creates a new in-memory job store. Jobs are evicted automatically once their TTL expires.
+ *
+ * Any object implementing "get", "set" and "remove" with the same signatures can be used as a store.
+ *
+ * @param {Object} options       The store options
+ * @param {Object} options.clock The clock scheduling evictions (defaults to the system clock)
+ */
+var MemoryStore = function (options) {
+    options = options || {};
+    this.clock = options.clock || clock.system;
+    this.jobs = {};
+    this.timers = {};
+};
+
+/**
+ * Retrieves a job.
+ *
+ * @param {String}   id       The job ID
+ * @param {Function} callback The callback receiving the job, or null if the job does not exist
+ */
+MemoryStore.prototype.get = function (id, callback) {
+    var job = this.jobs.hasOwnProperty(id) ? this.jobs[id] : null;
+    process.nextTick(function () {
+        callback(null, job);
+    });
+};
+
+/**
+ * Stores or replaces a job.
+ *
+ * @param {String}   id       The job ID
+ * @param {Object}   job      The job to store
+ * @param {Number}   ttl      The amount of time to keep the job, in milliseconds
+ * @param {Function} callback The callback to invoke once the job is stored
+ */
+MemoryStore.prototype.set = function (id, job, ttl, callback) {
+    var store = this;
+    this.clock.clearTimeout(this.timers[id]);
+    this.jobs[id] = job;
+    if (ttl) {
+        this.timers[id] = this.clock.setTimeout(function () {
+            delete store.jobs[id];
+            delete store.timers[id];
+        }, ttl);
+        // eviction timers should not keep the process alive
+        this.timers[id].unref && this.timers[id].unref();
+    }
+    callback && process.nextTick(callback);
+};
+
+/**
+ * Removes a job.
+ *
+ * @param {String}   id       The job ID
+ * @param {Function} callback The callback to invoke once the job is removed
+ */
+MemoryStore.prototype.remove = function (id, callback) {
+    this.clock.clearTimeout(this.timers[id]);
+    delete this.jobs[id];
+    delete this.timers[id];
+    callback && process.nextTick(callback);
+};
+
+/**
+ * Creates a new job registry, keeping track of delayed responses that could not complete in time.
+ *
+ * @param {Object}  options            The registry options
+ * @param {Object}  options.store      The job store to use (defaults to a new MemoryStore)
+ * @param {Number}  options.ttl        The amount of time to keep jobs, in milliseconds (defaults to 1 hour)
+ * @param {String}  options.path       The base URL of the status endpoint, used for the "Location" header
+ * @param {Number}  options.retryAfter The delay suggested to clients with "Retry-After", in seconds (defaults to 5)
+ * @param {Object}  options.clock      The clock timestamping jobs, also used by the default store (defaults to the
+ *                                     system clock)
+ */
+var JobRegistry = function (options) {
+    options = options || {};
+    this.clock = options.clock || clock.system;
+    this.store = options.store || new MemoryStore({ clock: this.clock });
+    this.ttl = options.ttl || 3600000;
+    this.path = (options.path || '/jobs').replace(/\/$/, '');
+    this.retryAfter = options.retryAfter || 5;
+};
+
+/**
+ * Returns the status URL of a job.
+ *
+ * @param  {String} id The job ID
+ * @return {String}    The URL where the job status can be retrieved
+ */
+JobRegistry.prototype.location = function (id) {
+    return this.path + '/' + encodeURIComponent(id);
+};
+
+/**
+ * Creates a pending job for a delayed response, setting the "Location" and "Retry-After" headers.
+ *
+ * @param  {DelayedResponse} delayed  The delayed response that timed out
+ * @param  {Function}        callback The callback to invoke once the job is stored
+ * @return {String}                   The new job ID
+ */
+JobRegistry.prototype.create = function (delayed, callback) {
+    var id = crypto.randomBytes(16).toString('hex');
+    var res = delayed.res;
+    var job = {
+        id: id,
+        status: 'pending',
+        created: this.clock.now(),
+        contentType: res.getHeader('Content-Type')
+    };
+    if (!res.headersSent) {
+        res.setHeader('Location', this.location(id));
+        res.setHeader('Retry-After', String(this.retryAfter));
+    }
+    this.store.set(id, job, this.ttl, callback);
+    return id;
+};
+
+/**
+ * Completes a pending job with the results of the delayed operation.
+ *
+ * @param {String}   id       The job ID
+ * @param {Error}    err      The error, if the operation has failed
+ * @param {*}        data     The operation results
+ * @param {Function} callback The callback to invoke once the job is stored
+ */
+JobRegistry.prototype.complete = function (id, err, data, callback) {
+    var registry = this;
+    this.store.get(id, function (getErr, job) {
+        if (getErr) return callback && callback(getErr);
+        // job has expired or was removed
+        if (!job) return callback && callback();
+        job.completed = registry.clock.now();
+        if (err) {
+            job.status = 'failed';
+            job.error = { message: err.message, status: err.status || err.statusCode || 500 };
+        } else {
+            job.status = 'completed';
+            job.result = data;
+        }
+        registry.store.set(id, job, registry.ttl, callback);
+    });
+};
+
+/**
+ * Returns a middleware serving the status and results of jobs. The job ID is read from the last segment of the URL,
+ * so it can be mounted either as "app.use('/jobs', registry.middleware())" or "app.get('/jobs/:id', ...)".
+ *
+ * @return {Function} The status middleware
+ */
+JobRegistry.prototype.middleware = function () {
+    var registry = this;
+    return function (req, res, next) {
+        var id = decodeURIComponent(req.url.split('?')[0].split('/').pop());
+        registry.store.get(id, function (err, job) {
+            if (err) {
+                if (next) return next(err);
+                res.statusCode = 500;
+                return res.end();
+            }
+            if (!job) {
+                if (next) return next();
+                res.statusCode = 404;
+                return res.end();
+            }
+            if (job.status === 'pending') {
+                res.statusCode = 202;
+                res.setHeader('Location', registry.location(id));
+                res.setHeader('Retry-After', String(registry.retryAfter));
+                res.setHeader('Content-Type', 'application/json');
+                return res.end(JSON.stringify({ id: id, status: job.status }));
+            }
+            if (job.status === 'failed') {
+                res.statusCode = job.error.status;
+                res.setHeader('Content-Type', 'application/json');
+                return res.end(JSON.stringify({ id: id, status: job.status, error: job.error.message }));
+            }
+            res.statusCode = 200;
+            job.contentType && res.setHeader('Content-Type', job.contentType);
+            if (typeof job.result === 'undefined' || job.result === null) {
+                res.end();
+            } else if (typeof job.result === 'string' || Buffer.isBuffer(job.result)) {
+                res.end(job.result);
+            } else {
+                res.end(JSON.stringify(job.result));
+            }
+        });
+    };
+};
+
+JobRegistry.MemoryStore = MemoryStore;
+
+module.exports = JobRegistry;
@@ -0,0 +1,250 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var clock = require('./clock');
+
+/**
+ * Creates a new manager, keeping track of live delayed responses and limiting how many can be pending at once.
+ * Requests are admitted with the manager middleware, queued when limits are reached, and rejected with HTTP 503 when
+ * the queue is full. DelayedResponse instances created for admitted requests are tracked automatically.
+ *
+ * @param {Object}   options            The manager options
+ * @param {Number}   options.max        The maximum number of pending responses (defaults to no limit)
+ * @param {Number}   options.maxPerKey  The maximum number of pending responses for a single key (defaults to no limit)
+ * @param {Function} options.key        The function returning the key of a request (e.g. the user or the route)
+ * @param {Number}   options.queue      The maximum number of requests waiting for admission (defaults to 0)
+ * @param {Number}   options.retryAfter The value of the "Retry-After" header for rejected requests, in seconds
+ *                                      (defaults to 5)
+ * @param {Object}   options.clock      The clock scheduling the grace period of shutdowns (defaults to the system
+ *                                      clock)
+ */
+var Manager = function (options) {
+    options = options || {};
+    EventEmitter.call(this);
+    this.max = options.max || Infinity;
+    this.maxPerKey = options.maxPerKey || Infinity;
+    this.key = options.key || null;
+    this.queueSize = options.queue || 0;
+    this.retryAfter = options.retryAfter || 5;
+    this.clock = options.clock || clock.system;
+    this.entries = [];
+    this.counts = {};
+    this.queue = [];
+};
+util.inherits(Manager, EventEmitter);
+
+/**
+ * Returns the number of pending responses.
+ *
+ * @param  {String} key An optional key to count responses for
+ * @return {Number}     The number of pending responses
+ */
+Manager.prototype.count = function (key) {
+    if (typeof key === 'undefined') return this.entries.length;
+    return this.counts[key] || 0;
+};
+
+/**
+ * Returns whether a new response can be admitted.
+ *
+ * @param  {String}  key The key of the response
+ * @return {Boolean}     True if limits are not reached
+ */
+Manager.prototype.available = function (key) {
+    return this.entries.length < this.max && this.count(key) < this.maxPerKey;
+};
+
+/**
+ * Admits a request, invoking the callback once limits allow it. If the queue is full, the request is rejected with
+ * HTTP 503 and the callback is never invoked.
+ *
+ * @param {http.ClientRequest}  req      The incoming HTTP request
+ * @param {http.ServerResponse} res      The HTTP response
+ * @param {Function}            callback The callback to invoke once the request is admitted
+ */
+Manager.prototype.admit = function (req, res, callback) {
+
+    var manager = this;
+    var key = keyOf.call(this, req);
+
+    // no new responses while shutting down
+    if (this.closing) {
+        return reject.call(this, req, res, key);
+    }
+
+    if (this.available(key)) {
+        acquire.call(this, req, res, key);
+        return callback();
+    }
+
+    if (this.queue.length >= this.queueSize) {
+        return reject.call(this, req, res, key);
+    }
+
+    var queued = { req: req, res: res, key: key, callback: callback };
+    this.queue.push(queued);
+    this.emit('queue', req, key);
+
+    // a client disconnecting while queued gives up its place
+    res.on('close', function () {
+        var index = manager.queue.indexOf(queued);
+        index === -1 || manager.queue.splice(index, 1);
+    });
+};
+
+/**
+ * Returns a middleware admitting requests, to be used before creating DelayedResponse instances.
+ *
+ * @return {Function} The admission middleware
+ */
+Manager.prototype.middleware = function () {
+    var manager = this;
+    return function (req, res, next) {
+        manager.admit(req, res, next);
+    };
+};
+
+/**
+ * Starts tracking a delayed response. Responses created for admitted requests are tracked automatically.
+ *
+ * @param {DelayedResponse} delayed The delayed response to track
+ */
+Manager.prototype.add = function (delayed) {
+    var entry = find(this.entries, 'req', delayed.req) ||
+        acquire.call(this, delayed.req, delayed.res, keyOf.call(this, delayed.req));
+    entry.delayed = delayed;
+    delayed.manager = this;
+};
+
+/**
+ * Stops tracking a delayed response, admitting queued requests if possible.
+ *
+ * @param {DelayedResponse} delayed The delayed response to stop tracking
+ */
+Manager.prototype.remove = function (delayed) {
+    var entry = find(this.entries, 'delayed', delayed);
+    entry && release.call(this, entry);
+};
+
+/**
+ * Returns the delayed responses currently tracked.
+ *
+ * @return {Array} The list of DelayedResponse instances
+ */
+Manager.prototype.responses = function () {
+    return this.entries.filter(function (entry) {
+        return entry.delayed;
+    }).map(function (entry) {
+        return entry.delayed;
+    });
+};
+
+/**
+ * Shuts down gracefully: new requests are rejected, pending responses are given a grace period to complete, then the
+ * remaining responses are ended with the specified payload (or cancelled, see DelayedResponse.shutdown).
+ *
+ * @param {Object}      options         The shutdown options
+ * @param {Number}      options.grace   The amount of time to let pending responses complete (defaults to 0)
+ * @param {*}           options.payload The optional payload to end the remaining responses with
+ * @param {http.Server} options.server  The HTTP server to close, so that the process can exit once drained
+ * @param {Function}    callback        The callback to invoke once all responses have ended and the server is closed
+ */
+Manager.prototype.closeAll = function (options, callback) {
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+
+    var manager = this;
+    var server = options.server;
+    var waiting = server ? 2 : 1;
+    var done = function () {
+        if (--waiting) return;
+        manager.clock.clearTimeout(timer);
+        callback && callback();
+    };
+
+    this.closing = true;
+    this.emit('close');
+
+    // queued requests will never be admitted
+    this.queue.splice(0).forEach(function (queued) {
+        reject.call(manager, queued.req, queued.res, queued.key);
+    });
+
+    // stop accepting connections, the server closes once every connection has ended
+    server && server.close(function () {
+        done();
+    });
+
+    var timer = this.clock.setTimeout(function () {
+        manager.responses().forEach(function (delayed) {
+            delayed.shutdown(options.payload);
+        });
+    }, options.grace || 0);
+
+    var drained = function () {
+        if (manager.entries.length) return;
+        manager.removeListener('release', drained);
+        // keep-alive connections would otherwise prevent the server from closing
+        server && server.closeIdleConnections && server.closeIdleConnections();
+        done();
+    };
+    this.on('release', drained);
+    drained();
+};
+
+function reject(req, res, key) {
+    this.emit('reject', req, key);
+    res.statusCode = 503;
+    res.setHeader('Retry-After', String(this.retryAfter));
+    res.end();
+}
+
+function keyOf(req) {
+    return this.key ? String(this.key(req)) : '';
+}
+
+function find(entries, property, value) {
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i][property] === value) return entries[i];
+    }
+    return null;
+}
+
+function acquire(req, res, key) {
+    var manager = this;
+    var entry = { req: req, res: res, key: key };
+    this.entries.push(entry);
+    this.counts[key] = this.count(key) + 1;
+    req.delayedManager = this;
+    // make sure the slot is released when the response is ended or closed
+    var done = function () {
+        release.call(manager, entry);
+    };
+    res.on('finish', done).on('close', done);
+    return entry;
+}
+
+function release(entry) {
+    var index = this.entries.indexOf(entry);
+    if (index === -1) return;
+    this.entries.splice(index, 1);
+    if (!--this.counts[entry.key]) delete this.counts[entry.key];
+    this.emit('release', entry.req, entry.key);
+    drain.call(this);
+}
+
+function drain() {
+    for (var i = 0; i < this.queue.length; i++) {
+        var queued = this.queue[i];
+        if (this.available(queued.key)) {
+            this.queue.splice(i--, 1);
+            acquire.call(this, queued.req, queued.res, queued.key);
+            queued.callback();
+        }
+    }
+}
+
+module.exports = Manager;
@@ -0,0 +1,124 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var OUTCOMES = ['done', 'error', 'timeout', 'abort'];
+
+/**
+ * Creates a new metrics collector, counting delayed responses by outcome and observing their durations. Every
+ * DelayedResponse instance reports to the process-wide collector (DelayedResponse.metrics).
+ *
+ * Other sinks can be attached with the "create", "start", "heartbeat" (first heartbeat only) and "end" events,
+ * receiving the DelayedResponse instance along with its lifecycle timestamps and outcome.
+ *
+ * @param {Object} options         The collector options
+ * @param {Array}  options.buckets The upper bounds of the duration histogram buckets, in seconds
+ */
+var Collector = function (options) {
+    options = options || {};
+    EventEmitter.call(this);
+    this.buckets = (options.buckets || [0.1, 0.5, 1, 5, 10, 30, 60, 300]).slice().sort(function (a, b) {
+        return a - b;
+    });
+    this.reset();
+};
+util.inherits(Collector, EventEmitter);
+
+/**
+ * Resets all counters and histograms.
+ */
+Collector.prototype.reset = function () {
+    var collector = this;
+    this.created = 0;
+    this.pending = 0;
+    this.outcomes = {};
+    this.durations = {};
+    OUTCOMES.forEach(function (outcome) {
+        collector.outcomes[outcome] = 0;
+        collector.durations[outcome] = {
+            buckets: collector.buckets.map(function () {
+                return 0;
+            }),
+            sum: 0,
+            count: 0
+        };
+    });
+};
+
+/**
+ * Records a lifecycle event of a delayed response.
+ *
+ * @param {String}          event   The lifecycle event ("create", "start", "heartbeat" or "end")
+ * @param {DelayedResponse} delayed The delayed response
+ */
+Collector.prototype.record = function (event, delayed) {
+    if (event === 'create') {
+        this.created++;
+        this.pending++;
+    } else if (event === 'end') {
+        this.pending--;
+        this.outcomes[delayed.outcome]++;
+        observe.call(this, delayed.outcome, (delayed.timestamps.ended - delayed.timestamps.created) / 1000);
+    }
+    this.emit(event, delayed);
+};
+
+/**
+ * Renders metrics in the Prometheus text format.
+ *
+ * @return {String} The metrics
+ */
+Collector.prototype.toPrometheus = function () {
+    var collector = this;
+    var lines = [
+        '# HELP http_delayed_responses_created_total Number of delayed responses created.',
+        '# TYPE http_delayed_responses_created_total counter',
+        'http_delayed_responses_created_total ' + this.created,
+        '# HELP http_delayed_responses_pending Number of delayed responses pending.',
+        '# TYPE http_delayed_responses_pending gauge',
+        'http_delayed_responses_pending ' + this.pending,
+        '# HELP http_delayed_responses_total Number of delayed responses ended, by outcome.',
+        '# TYPE http_delayed_responses_total counter'
+    ];
+    OUTCOMES.forEach(function (outcome) {
+        lines.push('http_delayed_responses_total{outcome="' + outcome + '"} ' + collector.outcomes[outcome]);
+    });
+    lines.push('# HELP http_delayed_response_duration_seconds Duration of delayed responses, by outcome.');
+    lines.push('# TYPE http_delayed_response_duration_seconds histogram');
+    OUTCOMES.forEach(function (outcome) {
+        var histogram = collector.durations[outcome];
+        var name = 'http_delayed_response_duration_seconds';
+        collector.buckets.forEach(function (bound, i) {
+            lines.push(name + '_bucket{outcome="' + outcome + '",le="' + bound + '"} ' + histogram.buckets[i]);
+        });
+        lines.push(name + '_bucket{outcome="' + outcome + '",le="+Inf"} ' + histogram.count);
+        lines.push(name + '_sum{outcome="' + outcome + '"} ' + histogram.sum);
+        lines.push(name + '_count{outcome="' + outcome + '"} ' + histogram.count);
+    });
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Returns a request handler rendering metrics in the Prometheus text format.
+ *
+ * @return {Function} The request handler
+ */
+Collector.prototype.handler = function () {
+    var collector = this;
+    return function (req, res) {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+        res.end(collector.toPrometheus());
+    };
+};
+
+function observe(outcome, seconds) {
+    var histogram = this.durations[outcome];
+    // buckets are cumulative
+    this.buckets.forEach(function (bound, i) {
+        if (seconds <= bound) histogram.buckets[i]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+}
+
+module.exports = Collector;
@@ -0,0 +1,58 @@
+/**
+ * Client preferences, as sent with the "Prefer" header (RFC 7240). Delayed responses honor "wait", the number of
+ * seconds the client is willing to wait for results, and "respond-async", requesting HTTP 202 as soon as possible.
+ */
+
+/**
+ * Parses the "Prefer" header of a request. Preference names are case-insensitive, and only the first occurrence of a
+ * preference is kept. Preference parameters are ignored.
+ *
+ * @param  {String|Array} header The value of the "Prefer" header
+ * @return {Object}              The preferences by name, with their value or true if they have none
+ */
+exports.parse = function (header) {
+    var preferences = {};
+    if (!header) return preferences;
+    header = Array.isArray(header) ? header.join(',') : header;
+    header.split(',').forEach(function (preference) {
+        var token = preference.split(';')[0].trim();
+        var index = token.indexOf('=');
+        var name = (index === -1 ? token : token.slice(0, index)).trim().toLowerCase();
+        if (!name || preferences.hasOwnProperty(name)) return;
+        preferences[name] = index === -1 ? true : token.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+    });
+    return preferences;
+};
+
+/**
+ * Resolves the timeout of a delayed response from client preferences. "wait" replaces the timeout of the server, and
+ * "respond-async" without "wait" requests a timeout of zero. The timeout requested is then clamped to the policy.
+ *
+ * @param  {Object} preferences The preferences of the client, as returned by "parse"
+ * @param  {Object} policy      The server policy
+ * @param  {Number} policy.min  The minimum timeout allowed (defaults to zero)
+ * @param  {Number} policy.max  The maximum timeout allowed (defaults to the server timeout, or no limit)
+ * @param  {Number} timeout     The timeout of the server, if any
+ * @return {Object}             The timeout to use ("timeout", undefined if none) and the list of preferences honored
+ *                              ("applied"), formatted for the "Preference-Applied" header. "wait" is only reported
+ *                              when the timeout requested is within the policy.
+ */
+exports.resolve = function (preferences, policy, timeout) {
+
+    var wait = /^\d+$/.test(preferences.wait) ? parseInt(preferences.wait, 10) * 1000 : null;
+    var async = preferences['respond-async'] === true;
+    var applied = [];
+
+    if (wait === null && !async) {
+        return { timeout: timeout || undefined, applied: applied };
+    }
+
+    var max = typeof policy.max === 'number' ? policy.max : timeout || Infinity;
+    var min = Math.min(policy.min || 0, max);
+    timeout = Math.min(Math.max(wait === null ? 0 : wait, min), max);
+
+    async && applied.push('respond-async');
+    // a wait clamped by the policy is not honored
+    wait !== null && wait === timeout && applied.push('wait=' + wait / 1000);
+    return { timeout: timeout, applied: applied };
+};
@@ -0,0 +1,196 @@
+var url = require('url');
+
+/**
+ * Creates a new serializer registry, used to render results in the format preferred by the client. The media type is
+ * negotiated from the "Accept" header of the request. JSON, NDJSON, plain text and CSV are registered by default,
+ * JSON being used when the client accepts any type. JSONP is only available once enabled with "jsonp".
+ */
+var Serializers = function () {
+    this.entries = [];
+    this.register('application/json', json);
+    this.register('application/x-ndjson', ndjson);
+    this.register('text/plain', text);
+    this.register('text/csv', csv);
+};
+
+/**
+ * Registers a serializer, replacing any serializer already registered for the same media type.
+ *
+ * @param {String}   type      The media type produced by the serializer
+ * @param {Function} serialize The function rendering results, receiving the data and the request, and returning a
+ *                             string or a Buffer
+ * @param {Function} detect    An optional function receiving the request, returning true to select this serializer
+ *                             regardless of the "Accept" header
+ */
+Serializers.prototype.register = function (type, serialize, detect) {
+    var entry = { type: type, serialize: serialize, detect: detect };
+    var existing = find(this.entries, type);
+    if (existing) {
+        this.entries[this.entries.indexOf(existing)] = entry;
+    } else {
+        this.entries.push(entry);
+    }
+};
+
+/**
+ * Registers the JSONP serializer, selected when the request specifies a "callback" query parameter. Any page can load
+ * JSONP results with a <script> tag, including the data of authenticated users: JSONP is therefore only negotiated for
+ * responses explicitly allowing the "application/javascript" media type, and is not part of the default types.
+ *
+ * @return {Serializers} The same instance, for chaining calls
+ */
+Serializers.prototype.jsonp = function () {
+    // legacy clients loading results with a <script> tag only send "Accept: */*"
+    this.register('application/javascript', jsonp, function (req) {
+        return !!callbackOf(req);
+    });
+    find(this.entries, 'application/javascript').explicit = true;
+    return this;
+};
+
+/**
+ * Returns the registered media types, in order of preference when the client accepts any type. Media types which must
+ * be explicitly allowed, such as JSONP, are not included.
+ *
+ * @return {Array} The list of media types
+ */
+Serializers.prototype.types = function () {
+    return this.entries.filter(function (entry) {
+        return !entry.explicit;
+    }).map(function (entry) {
+        return entry.type;
+    });
+};
+
+/**
+ * Selects the media type to render results with, according to the "Accept" header of a request.
+ *
+ * @param  {http.ClientRequest} req   The incoming HTTP request
+ * @param  {Array}              types The media types allowed (defaults to the types returned by "types")
+ * @return {String}                   The selected media type, or null if none is acceptable
+ */
+Serializers.prototype.negotiate = function (req, types) {
+
+    var entries = (types || this.types()).map(function (type) {
+        return find(this.entries, type);
+    }, this).filter(Boolean);
+
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].detect && entries[i].detect(req)) return entries[i].type;
+    }
+
+    // any type is acceptable without an "Accept" header
+    var ranges = parse(req.headers.accept || '*/*');
+    var best = null;
+
+    entries.forEach(function (entry) {
+        var range = match(ranges, entry.type);
+        if (!range || !range.q) return;
+        // the first registered type wins ties, unless accepted more specifically
+        if (!best || range.q > best.q || range.q === best.q && range.specificity > best.specificity) {
+            best = { type: entry.type, q: range.q, specificity: range.specificity };
+        }
+    });
+
+    return best && best.type;
+};
+
+/**
+ * Renders results with the serializer registered for a media type.
+ *
+ * @param  {String}             type The media type
+ * @param  {*}                  data The results to render
+ * @param  {http.ClientRequest} req  The incoming HTTP request
+ * @return {String|Buffer}           The rendered results
+ */
+Serializers.prototype.serialize = function (type, data, req) {
+    var entry = find(this.entries, type);
+    if (!entry) throw new Error('no serializer for ' + type);
+    return entry.serialize(data, req);
+};
+
+function find(entries, type) {
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].type === type) return entries[i];
+    }
+    return null;
+}
+
+function parse(accept) {
+    return accept.split(',').map(function (range) {
+        var params = range.split(';');
+        var type = params.shift().trim().toLowerCase();
+        var q = 1;
+        params.forEach(function (param) {
+            var pair = param.split('=');
+            if (pair[0].trim() === 'q') q = parseFloat(pair[1]);
+        });
+        var specificity = type === '*/*' ? 0 : /\/\*$/.test(type) ? 1 : 2;
+        return { type: type, q: isNaN(q) ? 1 : q, specificity: specificity };
+    });
+}
+
+function match(ranges, type) {
+    var best = null;
+    ranges.forEach(function (range) {
+        var matches = range.type === type || range.type === '*/*' ||
+            range.specificity === 1 && range.type.split('/')[0] === type.split('/')[0];
+        // the most specific range applies
+        if (matches && (!best || range.specificity > best.specificity)) best = range;
+    });
+    return best;
+}
+
+function callbackOf(req) {
+    var query = req.query || url.parse(req.url, true).query;
+    var callback = query.callback;
+    // only allow identifiers, to prevent injecting scripts
+    return typeof callback === 'string' && /^[\w$.]+$/.test(callback) ? callback : null;
+}
+
+function json(data) {
+    return JSON.stringify(data);
+}
+
+function ndjson(data) {
+    return (Array.isArray(data) ? data : [data]).map(function (item) {
+        return JSON.stringify(item) + '\n';
+    }).join('');
+}
+
+function text(data) {
+    return typeof data === 'string' ? data : JSON.stringify(data);
+}
+
+function csv(data) {
+    var records = Array.isArray(data) ? data : [data];
+    var columns = [];
+    records.forEach(function (record) {
+        // only records have columns: other values can't be rendered as rows
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new TypeError('CSV records must be objects');
+        }
+        Object.keys(record).forEach(function (column) {
+            columns.indexOf(column) === -1 && columns.push(column);
+        });
+    });
+    var escape = function (value) {
+        if (value === null || typeof value === 'undefined') return '';
+        value = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    };
+    return [columns].concat(records.map(function (record) {
+        return columns.map(function (column) {
+            return record[column];
+        });
+    })).map(function (row) {
+        return row.map(escape).join(',') + '\r\n';
+    }).join('');
+}
+
+function jsonp(data, req) {
+    // the comment prevents content sniffing attacks
+    return '/**/ ' + (callbackOf(req) || 'callback') + '(' + JSON.stringify(data) + ');';
+}
+
+module.exports = Serializers;
@@ -0,0 +1,347 @@
+var EventEmitter = require('events').EventEmitter;
+var assert = require('assert');
+var util = require('util');
+var VirtualClock = require('./clock').VirtualClock;
+
+/**
+ * Testing helpers for delayed responses, running without sockets and with virtual time. A harness creates mock request
+ * and response objects sharing a virtual clock: timeouts, heartbeats and retries only happen when time is advanced,
+ * which makes tests fast and deterministic.
+ *
+ * The helpers are created with the DelayedResponse constructor, to avoid a circular dependency.
+ */
+
+function lowercase(headers) {
+    var result = {};
+    Object.keys(headers).forEach(function (name) {
+        result[name.toLowerCase()] = headers[name];
+    });
+    return result;
+}
+
+/**
+ * Creates a mock request.
+ *
+ * @param {Object}       options         The request options
+ * @param {String}       options.method  The HTTP method (defaults to GET)
+ * @param {String}       options.url     The request URL (defaults to "/")
+ * @param {Object}       options.headers The request headers
+ * @param {VirtualClock} options.clock   The clock used by delayed responses created for this request
+ */
+var MockRequest = function (options) {
+    EventEmitter.call(this);
+    options = options || {};
+    this.method = options.method || 'GET';
+    this.url = options.url || '/';
+    this.headers = lowercase(options.headers || {});
+    this.httpVersion = '1.1';
+    this.delayedClock = options.clock;
+    this.aborted = false;
+};
+util.inherits(MockRequest, EventEmitter);
+
+/**
+ * Simulates the client aborting the request.
+ */
+MockRequest.prototype.abort = function () {
+    if (this.aborted) return;
+    this.aborted = true;
+    this.emit('aborted');
+    this.emit('close');
+};
+
+/**
+ * Creates a mock response, recording everything written with the "chunks" and "body" properties. Events are emitted
+ * synchronously.
+ */
+var MockResponse = function () {
+    EventEmitter.call(this);
+    this.statusCode = 200;
+    this.headers = {};
+    this.trailers = {};
+    this.chunks = [];
+    this.headersSent = false;
+    this.finished = false;
+    this.destroyed = false;
+    this.blocked = false;
+};
+util.inherits(MockResponse, EventEmitter);
+
+Object.defineProperty(MockResponse.prototype, 'body', {
+    get: function () {
+        return this.chunks.join('');
+    }
+});
+
+MockResponse.prototype.setHeader = function (name, value) {
+    if (this.headersSent) throw new Error('headers already sent');
+    this.headers[name.toLowerCase()] = value;
+    return this;
+};
+
+MockResponse.prototype.getHeader = function (name) {
+    return this.headers[name.toLowerCase()];
+};
+
+MockResponse.prototype.getHeaders = function () {
+    return lowercase(this.headers);
+};
+
+MockResponse.prototype.hasHeader = function (name) {
+    return this.headers.hasOwnProperty(name.toLowerCase());
+};
+
+MockResponse.prototype.removeHeader = function (name) {
+    if (this.headersSent) throw new Error('headers already sent');
+    delete this.headers[name.toLowerCase()];
+};
+
+MockResponse.prototype.writeHead = function (statusCode, headers) {
+    var res = this;
+    this.statusCode = statusCode;
+    headers && Object.keys(headers).forEach(function (name) {
+        res.setHeader(name, headers[name]);
+    });
+    this.headersSent = true;
+    return this;
+};
+
+MockResponse.prototype.flushHeaders = function () {
+    this.headersSent = true;
+};
+
+MockResponse.prototype.addTrailers = function (trailers) {
+    var res = this;
+    Object.keys(trailers).forEach(function (name) {
+        res.trailers[name.toLowerCase()] = trailers[name];
+    });
+};
+
+MockResponse.prototype.write = function (chunk) {
+    if (this.finished || this.destroyed) return false;
+    this.headersSent = true;
+    this.chunks.push(Buffer.isBuffer(chunk) ? chunk.toString() : String(chunk));
+    return !this.blocked;
+};
+
+MockResponse.prototype.end = function (chunk) {
+    if (this.finished || this.destroyed) return this;
+    if (typeof chunk !== 'undefined' && chunk !== null && typeof chunk !== 'function') {
+        this.chunks.push(Buffer.isBuffer(chunk) ? chunk.toString() : String(chunk));
+    }
+    this.headersSent = true;
+    this.finished = true;
+    this.emit('finish');
+    this.emit('close');
+    return this;
+};
+
+MockResponse.prototype.destroy = function () {
+    if (this.destroyed) return this;
+    this.destroyed = true;
+    this.emit('close');
+    return this;
+};
+
+/**
+ * Simulates a client that stopped reading: writes return false until "drain" is called.
+ *
+ * @return {MockResponse} The same instance, for chaining calls
+ */
+MockResponse.prototype.block = function () {
+    this.blocked = true;
+    return this;
+};
+
+/**
+ * Simulates a client reading again after "block", emitting the "drain" event.
+ *
+ * @return {MockResponse} The same instance, for chaining calls
+ */
+MockResponse.prototype.drain = function () {
+    this.blocked = false;
+    this.emit('drain');
+    return this;
+};
+
+function isHeartbeat(chunk) {
+    return chunk === ' ' || chunk === ':\n\n';
+}
+
+/**
+ * Creates a testing harness, with a virtual clock and mock request and response objects using it.
+ *
+ * @param {Object} options The request options (see MockRequest)
+ */
+var Harness = function (options) {
+    var harness = this;
+    options = options || {};
+    this.clock = new VirtualClock();
+    this.req = new MockRequest({
+        method: options.method,
+        url: options.url,
+        headers: options.headers,
+        clock: this.clock
+    });
+    this.res = new MockResponse();
+    // errors handed to the next function
+    this.errors = [];
+    this.next = function (err) {
+        err && harness.errors.push(err);
+    };
+};
+
+/**
+ * Advances virtual time, running the timers due in the meantime.
+ *
+ * @param  {Number}  ms The amount of time to advance by
+ * @return {Harness}    The same instance, for chaining calls
+ */
+Harness.prototype.advance = function (ms) {
+    this.clock.advance(ms);
+    return this;
+};
+
+/**
+ * Simulates the client aborting the request, closing the request and the response.
+ *
+ * @return {Harness} The same instance, for chaining calls
+ */
+Harness.prototype.abort = function () {
+    this.req.abort();
+    this.res.destroy();
+    return this;
+};
+
+/**
+ * Waits for pending promise callbacks, since promises are not controlled by virtual time.
+ *
+ * @return {Promise} The promise resolved once pending callbacks have run
+ */
+Harness.prototype.flush = function () {
+    return new Promise(function (resolve) {
+        setImmediate(resolve);
+    });
+};
+
+/**
+ * Returns the number of heartbeats written to the response.
+ *
+ * @return {Number} The number of heartbeats
+ */
+Harness.prototype.heartbeats = function () {
+    return this.res.chunks.filter(isHeartbeat).length;
+};
+
+/**
+ * Asserts the status code of the response.
+ *
+ * @param  {Number}  status The expected status code
+ * @return {Harness}        The same instance, for chaining calls
+ */
+Harness.prototype.expectStatus = function (status) {
+    assert.strictEqual(this.res.statusCode, status, 'expected status ' + status + ', got ' + this.res.statusCode);
+    return this;
+};
+
+/**
+ * Asserts a response header: regular expressions are matched, and other values are compared as strings.
+ *
+ * @param  {String}        name  The header name (case-insensitive)
+ * @param  {String|RegExp} value The expected value
+ * @return {Harness}             The same instance, for chaining calls
+ */
+Harness.prototype.expectHeader = function (name, value) {
+    var actual = this.res.getHeader(name);
+    var message = 'expected header "' + name + '" to ' + (value instanceof RegExp ? 'match ' : 'be ') + value +
+        ', got ' + actual;
+    if (value instanceof RegExp) {
+        assert.ok(typeof actual !== 'undefined' && value.test(actual), message);
+    } else {
+        assert.strictEqual(typeof actual === 'undefined' ? actual : String(actual), String(value), message);
+    }
+    return this;
+};
+
+/**
+ * Asserts the response body: strings are compared as is, regular expressions are matched, and other values are
+ * compared with the body parsed as JSON (ignoring heartbeats).
+ *
+ * @param  {*}       body The expected body
+ * @return {Harness}      The same instance, for chaining calls
+ */
+Harness.prototype.expectBody = function (body) {
+    var actual = this.res.body;
+    if (body instanceof RegExp) {
+        assert.ok(body.test(actual), 'expected body to match ' + body + ', got ' + JSON.stringify(actual));
+    } else if (typeof body === 'string') {
+        assert.strictEqual(actual, body);
+    } else {
+        assert.deepStrictEqual(JSON.parse(actual), body);
+    }
+    return this;
+};
+
+/**
+ * Asserts the number of heartbeats written to the response.
+ *
+ * @param  {Number}  count The expected number of heartbeats
+ * @return {Harness}       The same instance, for chaining calls
+ */
+Harness.prototype.expectHeartbeats = function (count) {
+    var actual = this.heartbeats();
+    assert.strictEqual(actual, count, 'expected ' + count + ' heartbeats, got ' + actual);
+    return this;
+};
+
+/**
+ * Asserts that the response has ended.
+ *
+ * @return {Harness} The same instance, for chaining calls
+ */
+Harness.prototype.expectEnded = function () {
+    assert.ok(this.res.finished, 'expected the response to be ended');
+    return this;
+};
+
+/**
+ * Creates the testing helpers.
+ *
+ * @param  {Function} DelayedResponse The DelayedResponse constructor
+ * @return {Object}                   The testing helpers
+ */
+module.exports = function (DelayedResponse) {
+    return {
+        MockRequest: MockRequest,
+        MockResponse: MockResponse,
+        VirtualClock: VirtualClock,
+
+        /**
+         * Creates a harness along with a DelayedResponse instance, available as "delayed".
+         *
+         * @param  {Object}  options      The request options (see MockRequest)
+         * @param  {Boolean} options.next Whether to hand errors to the next function, collecting them with "errors"
+         * @return {Harness}              The testing harness
+         */
+        create: function (options) {
+            var harness = new Harness(options);
+            harness.delayed = new DelayedResponse(harness.req, harness.res, options && options.next ? harness.next :
+                undefined);
+            return harness;
+        },
+
+        /**
+         * Creates a harness and invokes a middleware with its request and response, collecting errors handed to the
+         * next function with "errors".
+         *
+         * @param  {Function} middleware The middleware, such as created by DelayedResponse.middleware
+         * @param  {Object}   options    The request options (see MockRequest)
+         * @return {Harness}             The testing harness
+         */
+        run: function (middleware, options) {
+            var harness = new Harness(options);
+            middleware(harness.req, harness.res, harness.next);
+            return harness;
+        }
+    };
+};
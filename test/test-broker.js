@@ -0,0 +1,115 @@
+var express = require('express');
+var request = require('supertest');
+var DelayedResponse = require('../');
+var Broker = DelayedResponse.Broker;
+require('should');
+
+describe('Broker', function () {
+    describe('.subscribe(channel, since, listener)', function () {
+        it('should receive published messages', function () {
+            var broker = new Broker();
+            var received = [];
+            var unsubscribe = broker.subscribe('channel', null, function (message, cursor) {
+                received.push([message, cursor]);
+            });
+            broker.publish('channel', 'first');
+            broker.publish('other', 'ignored');
+            unsubscribe();
+            broker.publish('channel', 'second');
+            received.should.eql([['first', 1]]);
+        });
+        it('should receive messages published since a cursor', function () {
+            var broker = new Broker({ history: 2 });
+            var received = [];
+            broker.publish('channel', 'first');
+            broker.publish('channel', 'second');
+            broker.publish('channel', 'third');
+            broker.subscribe('channel', '1', function (message) {
+                received.push(message);
+            });
+            received.should.eql(['second', 'third']);
+        });
+        it('should drop the history of channels without subscribers after the TTL', function () {
+            var clock = new DelayedResponse.VirtualClock();
+            var broker = new Broker({ ttl: 1000, clock: clock });
+            broker.publish('idle', 'first');
+            clock.advance(500);
+            broker.publish('idle', 'second');
+            clock.advance(999);
+            broker.channels.should.have.property('idle');
+            clock.advance(1);
+            broker.channels.should.eql({});
+            clock.pending().should.be.exactly(0);
+        });
+        it('should keep the history of channels with subscribers', function () {
+            var clock = new DelayedResponse.VirtualClock();
+            var broker = new Broker({ ttl: 1000, clock: clock });
+            var received = [];
+            broker.publish('channel', 'first');
+            var unsubscribe = broker.subscribe('channel', null, function (message) {
+                received.push(message);
+            });
+            broker.publish('channel', 'second');
+            clock.advance(5000);
+            broker.channels.channel.messages.should.have.length(2);
+            unsubscribe();
+            clock.advance(1000);
+            broker.channels.should.eql({});
+            broker.subscribe('channel', '0', function (message) {
+                received.push(message);
+            });
+            received.should.eql(['second']);
+        });
+    });
+    describe('with DelayedResponse', function () {
+        afterEach(function () {
+            DelayedResponse.broker = new Broker();
+        });
+        function createApp() {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.json().waitFor('chat', function (message) {
+                    return message.room === req.query.room;
+                }, req.query.since).wait(1000);
+            });
+            return app;
+        }
+        it('should end when a message is published', function (done) {
+            var app = createApp();
+            request(app).get('/?room=a')
+                .expect(200, { cursor: 2, messages: [{ room: 'a', text: 'hello' }] }, done);
+            setTimeout(function () {
+                DelayedResponse.publish('chat', { room: 'b', text: 'ignored' });
+                DelayedResponse.publish('chat', { room: 'a', text: 'hello' });
+            }, 50);
+        });
+        it('should deliver messages published since the cursor', function (done) {
+            var app = createApp();
+            DelayedResponse.publish('chat', { room: 'a', text: 'first' });
+            DelayedResponse.publish('chat', { room: 'a', text: 'second' });
+            DelayedResponse.publish('chat', { room: 'a', text: 'third' });
+            request(app).get('/?room=a&since=1')
+                .expect(200, {
+                    cursor: 3,
+                    messages: [{ room: 'a', text: 'second' }, { room: 'a', text: 'third' }]
+                }, done);
+        });
+        it('should unsubscribe when request is aborted', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('abort', function () {
+                    DelayedResponse.broker.channels.should.eql({});
+                    res.end();
+                    done();
+                }).waitFor('chat').start();
+                DelayedResponse.broker.channels.chat.listeners.length.should.be.exactly(1);
+            });
+            var req = request(app).get('/').end();
+            setTimeout(function () {
+                req.abort();
+            }, 50);
+        });
+    });
+});
@@ -0,0 +1,318 @@
+var express = require('express');
+var http = require('http');
+var DelayedResponse = require('../');
+var client = DelayedResponse.client;
+require('should');
+
+describe('DelayedResponse.client', function () {
+
+    var server;
+    function listen(app, callback) {
+        server = http.createServer(app).listen(0, function () {
+            callback('http://localhost:' + server.address().port + '/');
+        });
+    }
+    afterEach(function () {
+        server && server.close();
+        server = null;
+    });
+
+    describe('.get(url, options)', function () {
+        it('should resolve with the parsed result', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.json().wait()(null, { success: true });
+            });
+            listen(app, function (url) {
+                client.get(url).then(function (result) {
+                    result.should.eql({ success: true });
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should resolve with text', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                res.setHeader('Content-Type', 'text/plain');
+                delayed.wait()(null, 'results');
+            });
+            listen(app, function (url) {
+                client.get(url).then(function (result) {
+                    result.should.be.exactly('results');
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should strip heartbeats', function (done) {
+            var app = express();
+            var heartbeats = 0;
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                var polls = 0;
+                // the heartbeat is written right after the "poll" event, before results
+                var callback = delayed.json().on('poll', function () {
+                    if (++polls === 3) process.nextTick(callback, null, { success: true });
+                }).start(20, 0);
+            });
+            listen(app, function (url) {
+                client.get(url).on('heartbeat', function () {
+                    heartbeats++;
+                }).then(function (result) {
+                    heartbeats.should.be.exactly(3);
+                    result.should.eql({ success: true });
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should emit progress frames', function (done) {
+            var app = express();
+            var progress = [];
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                var polls = 0;
+                // pending progress is written with the heartbeat following the "poll" event
+                var callback = delayed.on('poll', function () {
+                    if (++polls === 2) delayed.progress(50, 'halfway');
+                    if (polls === 3) process.nextTick(callback, null, 'results');
+                }).start(20, 0);
+                delayed.progress(25);
+            });
+            listen(app, function (url) {
+                client.get(url).on('progress', function (value, message) {
+                    progress.push([value, message]);
+                }).then(function (result) {
+                    progress.should.eql([[25, undefined], [50, 'halfway']]);
+                    result.should.be.exactly('results');
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should reject with errors from progress frames', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                var callback = delayed.start(20, 0);
+                delayed.progress(25);
+                setTimeout(function () {
+                    callback(new Error('failure'));
+                }, 30);
+            });
+            listen(app, function (url) {
+                client.get(url).then(function () {
+                    done(new Error('should have failed'));
+                }, function (err) {
+                    err.message.should.be.exactly('failure');
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should consume Server-Sent Events', function (done) {
+            var app = express();
+            var progress = 0;
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                var callback = delayed.startEventStream(20, 0);
+                delayed.progress(50);
+                setTimeout(function () {
+                    callback(null, { success: true });
+                }, 30);
+            });
+            listen(app, function (url) {
+                client.get(url).on('progress', function (value) {
+                    value.should.be.exactly(50);
+                    progress++;
+                }).then(function (result) {
+                    progress.should.be.exactly(1);
+                    result.should.eql({ success: true });
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should unwrap result envelopes', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.envelope().start(20, 0, 30);
+            });
+            listen(app, function (url) {
+                client.get(url).then(function () {
+                    done(new Error('should have failed'));
+                }, function (err) {
+                    err.message.should.be.exactly('timeout occurred');
+                    err.code.should.be.exactly('ETIMEDOUT');
+                    err.statusCode.should.be.exactly(202);
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should retry when the result is not available', function (done) {
+            var app = express();
+            var attempts = 0;
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('cancel', function () {
+                    res.end();
+                });
+                var callback = delayed.json().wait(20);
+                if (++attempts === 3) callback(null, { success: true });
+            });
+            listen(app, function (url) {
+                client.get(url, { retryDelay: 10 }).then(function (result) {
+                    attempts.should.be.exactly(3);
+                    result.should.eql({ success: true });
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should give up after too many retries', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                res.statusCode = 202;
+                res.end();
+            });
+            listen(app, function (url) {
+                var retries = 0;
+                client.get(url, { retries: 2, retryDelay: 10 }).on('retry', function () {
+                    retries++;
+                }).then(function () {
+                    done(new Error('should have failed'));
+                }, function (err) {
+                    retries.should.be.exactly(2);
+                    err.message.should.be.exactly('too many retries');
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should follow the job status URL', function (done) {
+            var app = express();
+            var registry = new DelayedResponse.JobRegistry({ path: '/jobs', retryAfter: 0.05 });
+            app.use('/jobs', registry.middleware());
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                var callback = delayed.track(registry).json().wait(20);
+                setTimeout(function () {
+                    callback(null, { success: true });
+                }, 100);
+            });
+            listen(app, function (url) {
+                client.get(url).then(function (result) {
+                    result.should.eql({ success: true });
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should reject with HTTP errors', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                res.statusCode = 503;
+                res.end();
+            });
+            listen(app, function (url) {
+                client.get(url).then(function () {
+                    done(new Error('should have failed'));
+                }, function (err) {
+                    err.statusCode.should.be.exactly(503);
+                    err.message.should.be.exactly('Service Unavailable');
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should reject after timeout', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('abort', function () {
+                    res.end();
+                }).start(20, 0);
+            });
+            listen(app, function (url) {
+                client.get(url, { timeout: 50 }).then(function () {
+                    done(new Error('should have failed'));
+                }, function (err) {
+                    err.code.should.be.exactly('ETIMEDOUT');
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should time out with the clock', function (done) {
+            listen(function () {}, function (url) {
+                var clock = new DelayedResponse.VirtualClock();
+                var rejected = false;
+                client.get(url, { timeout: 1000, clock: clock }).then(function () {
+                    done(new Error('should have failed'));
+                }, function (err) {
+                    rejected = true;
+                    err.code.should.be.exactly('ETIMEDOUT');
+                    done();
+                }).catch(done);
+                clock.advance(999);
+                setImmediate(function () {
+                    rejected.should.be.false();
+                    clock.advance(1);
+                });
+            });
+        });
+        it('should reject with problem details written in-band after a long-polling timeout', function (done) {
+            listen(function (req, res) {
+                new DelayedResponse(req, res).start(10, 0, 50);
+            }, function (url) {
+                client.get(url).then(function () {
+                    done(new Error('should have failed'));
+                }, function (err) {
+                    err.message.should.be.exactly('timeout occurred');
+                    err.code.should.be.exactly('ETIMEDOUT');
+                    err.statusCode.should.be.exactly(202);
+                    err.body.status.should.be.exactly(504);
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should reject with problem details written in-band after long-polling', function (done) {
+            listen(function (req, res) {
+                var callback = new DelayedResponse(req, res).start(10, 0);
+                setTimeout(callback, 30, new Error('boom'));
+            }, function (url) {
+                client.get(url).then(function () {
+                    done(new Error('should have failed'));
+                }, function (err) {
+                    err.message.should.be.exactly('boom');
+                    err.body.status.should.be.exactly(500);
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should reject with problem details when waiting', function (done) {
+            listen(function (req, res) {
+                var err = new Error('report not found');
+                err.status = 404;
+                new DelayedResponse(req, res).wait()(err);
+            }, function (url) {
+                client.get(url).then(function () {
+                    done(new Error('should have failed'));
+                }, function (err) {
+                    err.message.should.be.exactly('report not found');
+                    err.statusCode.should.be.exactly(404);
+                    done();
+                }).catch(done);
+            });
+        });
+    });
+    describe('.request(options)', function () {
+        it('should send a request body as JSON', function (done) {
+            var app = express();
+            app.use(express.json());
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.json().start(20, 0)(null, req.body);
+            });
+            listen(app, function (url) {
+                client.request({ url: url, method: 'POST', body: { value: 1 } }).then(function (result) {
+                    result.should.eql({ value: 1 });
+                    done();
+                }).catch(done);
+            });
+        });
+    });
+});
@@ -0,0 +1,199 @@
+var express = require('express');
+var request = require('supertest');
+var DelayedResponse = require('../');
+var Coalescer = DelayedResponse.Coalescer;
+require('should');
+
+describe('Coalescer', function () {
+    function createApp(coalescer, work, options) {
+        var app = express();
+        app.use(DelayedResponse.middleware(function (req, delayed, callback, signal) {
+            return work(signal, callback);
+        }, options || { json: true, coalesce: coalescer }));
+        app.use(function (err, req, res, next) {
+            res.status(err.status).end(err.message);
+        });
+        return app;
+    }
+    function parallel(requests, done) {
+        var pending = requests.length;
+        var failed = false;
+        requests.forEach(function (req) {
+            req(function (err) {
+                if (failed) return;
+                if (err) {
+                    failed = true;
+                    return done(err);
+                }
+                --pending || done();
+            });
+        });
+    }
+    it('should run the work once for identical concurrent requests', function (done) {
+        var runs = 0;
+        var app = createApp(new Coalescer(), function (signal, callback) {
+            runs++;
+            setTimeout(function () {
+                callback(null, { runs: runs });
+            }, 100);
+        });
+        parallel([
+            function (cb) { request(app).get('/report').expect(200, { runs: 1 }, cb); },
+            function (cb) { request(app).get('/report').expect(200, { runs: 1 }, cb); },
+            function (cb) { request(app).get('/report').expect(200, { runs: 1 }, cb); }
+        ], function (err) {
+            if (err) return done(err);
+            runs.should.equal(1);
+            done();
+        });
+    });
+    it('should run the work separately for different keys', function (done) {
+        var runs = 0;
+        var coalescer = new Coalescer({
+            key: function (req) {
+                return req.query.id;
+            }
+        });
+        var app = createApp(coalescer, function (signal, callback) {
+            runs++;
+            setTimeout(function () {
+                callback(null, 'ok');
+            }, 50);
+        });
+        parallel([
+            function (cb) { request(app).get('/?id=1').expect(200, 'ok', cb); },
+            function (cb) { request(app).get('/?id=2').expect(200, 'ok', cb); }
+        ], function (err) {
+            if (err) return done(err);
+            runs.should.equal(2);
+            done();
+        });
+    });
+    it('should share errors with every attached response', function (done) {
+        var app = createApp(new Coalescer(), function (signal, callback) {
+            setTimeout(function () {
+                var err = new Error('failed');
+                err.status = 503;
+                callback(err);
+            }, 50);
+        });
+        parallel([
+            function (cb) { request(app).get('/').expect(503, 'failed', cb); },
+            function (cb) { request(app).get('/').expect(503, 'failed', cb); }
+        ], done);
+    });
+    it('should keep running the work while a response is attached', function (done) {
+        var coalescer = new Coalescer();
+        var aborted = false;
+        var work = function (signal, callback) {
+            signal.addEventListener('abort', function () {
+                aborted = true;
+            });
+            setTimeout(function () {
+                callback(null, 'ok');
+            }, 150);
+        };
+        var app = createApp(coalescer, work, {
+            timeout: 50,
+            timeoutResponse: { status: 'pending' },
+            coalesce: coalescer
+        });
+        var patient = createApp(coalescer, work);
+        parallel([
+            function (cb) { request(app).get('/').expect(202, cb); },
+            function (cb) { request(patient).get('/').expect(200, 'ok', cb); }
+        ], function (err) {
+            if (err) return done(err);
+            aborted.should.be.false();
+            done();
+        });
+    });
+    it('should keep running the work when the first response goes away', function (done) {
+        var coalescer = new Coalescer();
+        var app = express();
+        var first;
+        app.use(DelayedResponse.middleware(function (req, delayed, callback, signal) {
+            signal.should.not.equal(delayed.signal);
+            signal.addEventListener('abort', function () {
+                callback(signal.reason);
+            });
+            setTimeout(callback, 100, null, 'results');
+        }, { coalesce: coalescer }));
+        first = request(app).get('/').end(function () {});
+        setTimeout(function () {
+            request(app).get('/').expect(200, 'results', done);
+        }, 10);
+        setTimeout(function () {
+            first.abort();
+        }, 30);
+    });
+    it('should fail attached responses when the work is aborted otherwise', function (done) {
+        var coalescer = new Coalescer();
+        var app = express();
+        var first;
+        app.use(DelayedResponse.middleware(function (req, delayed, callback) {
+            // the signal of the first request only
+            delayed.signal.addEventListener('abort', function () {
+                callback(delayed.signal.reason);
+            });
+        }, { coalesce: coalescer }));
+        app.use(function (err, req, res, next) {
+            res.statusCode = 500;
+            res.end(err.message);
+        });
+        first = request(app).get('/').end(function () {});
+        setTimeout(function () {
+            request(app).get('/').expect(500, /coalesced work aborted: request aborted/, done);
+        }, 10);
+        setTimeout(function () {
+            first.abort();
+        }, 30);
+    });
+    it('should abort the work once every response has gone away', function (done) {
+        var coalescer = new Coalescer();
+        var signal;
+        var app = createApp(coalescer, function (s) {
+            signal = s;
+        }, {
+            timeout: 50,
+            timeoutResponse: { status: 'pending' },
+            coalesce: coalescer
+        });
+        parallel([
+            function (cb) { request(app).get('/').expect(202, cb); },
+            function (cb) { request(app).get('/').expect(202, cb); }
+        ], function (err) {
+            if (err) return done(err);
+            signal.aborted.should.be.true();
+            Object.keys(coalescer.inflight).should.be.empty();
+            done();
+        });
+    });
+    it('should evict cached results with the clock', function () {
+        var t = DelayedResponse.testing.create();
+        var coalescer = new Coalescer({ cache: 1000, clock: t.clock });
+        t.delayed.wait();
+        coalescer.run(t.delayed, function (signal, callback) {
+            callback(null, 'results');
+        });
+        t.expectBody('results');
+        t.advance(999);
+        coalescer.results.should.have.property('GET /');
+        t.advance(1);
+        coalescer.results.should.eql({});
+    });
+    it('should serve cached results to requests arriving just after completion', function (done) {
+        var runs = 0;
+        var app = createApp(new Coalescer({ cache: 1000 }), function () {
+            return Promise.resolve(++runs);
+        });
+        request(app).get('/').expect(200, '1', function (err) {
+            if (err) return done(err);
+            request(app).get('/').expect(200, '1', function (err) {
+                if (err) return done(err);
+                runs.should.equal(1);
+                done();
+            });
+        });
+    });
+});
@@ -1,6 +1,9 @@
 var express = require('express');
 var request = require('supertest');
 var fs = require('fs');
+var http = require('http');
+var stream = require('stream');
+var EventEmitter = require('events').EventEmitter;
 var when = require('when');
 var DelayedResponse = require('../');
 require('should');
@@ -121,6 +124,807 @@ describe('DelayedResponse', function () {
             request(app).get('/').expect(202, done);
         });
     });
+    describe('.startEventStream(interval, initialDelay, timeout)', function () {
+        it('should send an event stream with status 200', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.startEventStream().should.be.a.Function();
+                res.end();
+            });
+            request(app).get('/')
+                .expect('Content-Type', 'text/event-stream')
+                .expect('Cache-Control', 'no-cache')
+                .expect(200, done);
+        });
+        it('should write heartbeats as comments', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.startEventStream(20, 0);
+                setTimeout(function () {
+                    res.end();
+                }, 50);
+            });
+            request(app).get('/')
+                .end(function (err, res) {
+                    if (err) return done(err);
+                    res.text.should.be.exactly(':\n\n:\n\n');
+                    done();
+                });
+        });
+        it('should deliver results as a "result" event', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.startEventStream(100, 0);
+                setTimeout(function () {
+                    delayed.end(null, { success: true });
+                }, 50);
+            });
+            request(app).get('/')
+                .end(function (err, res) {
+                    if (err) return done(err);
+                    res.text.should.be.exactly('id: 1\nevent: result\ndata: {"success":true}\n\n');
+                    done();
+                });
+        });
+        it('should deliver errors as an "error" event', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.startEventStream(100, 0, 50);
+            });
+            request(app).get('/')
+                .end(function (err, res) {
+                    if (err) return done(err);
+                    res.text.should.be.exactly('id: 1\nevent: error\ndata: {"message":"timeout occurred"}\n\n');
+                    done();
+                });
+        });
+        it('should split multiple lines of data', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.startEventStream(100, 0)(null, 'first\nsecond');
+            });
+            request(app).get('/')
+                .end(function (err, res) {
+                    if (err) return done(err);
+                    res.text.should.be.exactly('id: 1\nevent: result\ndata: first\ndata: second\n\n');
+                    done();
+                });
+        });
+        it('should resume event IDs from "Last-Event-ID"', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                var callback = delayed.startEventStream(100, 0);
+                delayed.lastEventId.should.be.exactly('41');
+                callback(null, 'results');
+            });
+            request(app).get('/')
+                .set('Last-Event-ID', '41')
+                .end(function (err, res) {
+                    if (err) return done(err);
+                    res.text.should.match(/^id: 42\n/);
+                    done();
+                });
+        });
+    });
+    describe('.signal', function () {
+        it('should abort when request is aborted', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.signal.addEventListener('abort', function () {
+                    delayed.signal.reason.message.should.be.exactly('request aborted');
+                    done();
+                });
+                delayed.start();
+            });
+            var req = request(app).get('/').end();
+            setTimeout(function () {
+                req.abort();
+            }, 50);
+        });
+        it('should abort after timeout', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('cancel', function () {
+                    delayed.signal.aborted.should.be.true();
+                    delayed.signal.reason.message.should.be.exactly('timeout occurred');
+                    res.end();
+                }).wait(50);
+            });
+            request(app).get('/').expect(202, done);
+        });
+        it('should ignore work settling once aborted', function () {
+            var t = DelayedResponse.testing.create();
+            var warnings = [];
+            var warn = console.warn;
+            console.warn = function (message) {
+                warnings.push(message);
+            };
+            t.delayed.on('cancel', function () {
+                t.res.end('cancelled');
+            }).wait(50, function (signal) {
+                return new Promise(function (resolve, reject) {
+                    signal.addEventListener('abort', function () {
+                        reject(signal.reason);
+                    });
+                });
+            });
+            t.advance(50);
+            return t.flush().then(function () {
+                console.warn = warn;
+                t.expectStatus(202).expectBody('cancelled');
+                warnings.should.eql([]);
+            });
+        });
+        it('should abort when stopped', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.start();
+                delayed.stop();
+                delayed.signal.aborted.should.be.true();
+                delayed.signal.reason.message.should.be.exactly('stopped');
+                res.end();
+            });
+            request(app).get('/').expect(202, done);
+        });
+        it('should not abort after completion', function (done) {
+            var app = express();
+            var delayed;
+            app.use(function (req, res) {
+                delayed = new DelayedResponse(req, res);
+                delayed.wait(100)(null, 'results');
+            });
+            request(app).get('/').expect(200, function (err) {
+                if (err) return done(err);
+                delayed.signal.aborted.should.be.false();
+                done();
+            });
+        });
+        it('should not abort when results are expected by a job', function (done) {
+            var app = express();
+            var registry = new DelayedResponse.JobRegistry();
+            var delayed;
+            app.use(function (req, res) {
+                delayed = new DelayedResponse(req, res);
+                delayed.track(registry).wait(50);
+            });
+            request(app).get('/').expect(202, function (err) {
+                if (err) return done(err);
+                delayed.signal.aborted.should.be.false();
+                done();
+            });
+        });
+    });
+    describe('with a work function', function () {
+        it('should pass the signal and callback handler', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.wait(100, function (signal, callback) {
+                    signal.should.be.exactly(delayed.signal);
+                    callback(null, 'results');
+                });
+            });
+            request(app).get('/').expect(200, 'results', done);
+        });
+        it('should wait for returned promises', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.json().start(100, 0, 200, function (signal) {
+                    return when.resolve({ success: true });
+                });
+            });
+            request(app).get('/').expect(202, { success: true }, done);
+        });
+        it('should end with thrown errors', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('error', function (err) {
+                    err.message.should.be.exactly('failure');
+                    res.status(500).end();
+                }).wait(function () {
+                    throw new Error('failure');
+                });
+            });
+            request(app).get('/').expect(500, done);
+        });
+        it('should abort the work after timeout', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('cancel', function () {
+                    res.end();
+                }).start(20, 0, 50, function (signal, callback) {
+                    var timer = setTimeout(callback, 200);
+                    signal.addEventListener('abort', function () {
+                        clearTimeout(timer);
+                        done();
+                    });
+                });
+            });
+            request(app).get('/').end(function () {});
+        });
+    });
+    describe('.retry(policy)', function () {
+        it('should retry until the work succeeds', function (done) {
+            var app = express();
+            var events = [];
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('attempt', function (count) {
+                    events.push('attempt ' + count);
+                }).on('retry', function (err, count, delay) {
+                    events.push('retry ' + count + ' after ' + delay + 'ms: ' + err.message);
+                }).retry({ attempts: 3, backoff: 10 }).wait(1000, function (signal, callback) {
+                    if (events.length < 4) return callback(new Error('failure'));
+                    callback(null, 'results');
+                });
+            });
+            request(app).get('/').expect(200, 'results', function (err) {
+                if (err) return done(err);
+                events.should.eql([
+                    'attempt 1',
+                    'retry 1 after 10ms: failure',
+                    'attempt 2',
+                    'retry 2 after 10ms: failure',
+                    'attempt 3'
+                ]);
+                done();
+            });
+        });
+        it('should end with the attempt history after the last attempt', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                var count = 0;
+                delayed.on('error', function (err) {
+                    err.message.should.be.exactly('failure 3');
+                    err.attempts.map(function (attempt) {
+                        attempt.duration.should.be.a.Number();
+                        return attempt.error.message;
+                    }).should.eql(['failure 1', 'failure 2', 'failure 3']);
+                    // serializers of errors must not follow the history back to the error
+                    Object.keys(JSON.parse(JSON.stringify(err))).should.not.containEql('attempts');
+                    res.status(500).end();
+                }).retry({ backoff: DelayedResponse.heartbeats.exponential(5) }).wait(function () {
+                    return when.reject(new Error('failure ' + ++count));
+                });
+            });
+            request(app).get('/').expect(500, done);
+        });
+        it('should not retry errors that are not retryable', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('error', function (err) {
+                    err.attempts.should.have.length(1);
+                    res.status(err.status).end();
+                }).retry({
+                    backoff: 0,
+                    retryable: function (err) {
+                        return err.status >= 500;
+                    }
+                }).wait(function (signal, callback) {
+                    var err = new Error('not found');
+                    err.status = 404;
+                    callback(err);
+                });
+            });
+            request(app).get('/').expect(404, done);
+        });
+        it('should not retry beyond the timeout', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('error', function (err) {
+                    err.message.should.be.exactly('failure');
+                    err.attempts.should.have.length(1);
+                    delayed.remaining().should.be.above(0);
+                    res.status(500).end();
+                }).retry({ attempts: 5, backoff: 200 }).wait(100, function (signal, callback) {
+                    setTimeout(callback, 10, new Error('failure'));
+                });
+            });
+            request(app).get('/').expect(500, done);
+        });
+        it('should retry with the middleware', function (done) {
+            var app = express();
+            var count = 0;
+            app.use(DelayedResponse.middleware(function () {
+                return ++count < 2 ? when.reject(new Error('failure')) : when.resolve('results');
+            }, { retry: { backoff: 0 } }));
+            request(app).get('/').expect(200, 'results', done);
+        });
+    });
+    describe('with backpressure', function () {
+        // a response buffering every write until "drain" is invoked, as with a client not reading
+        function createResponse() {
+            var res = new stream.Writable({
+                highWaterMark: 1,
+                write: function (chunk, encoding, callback) {
+                    res.written.push(chunk.toString());
+                    res.drain = callback;
+                }
+            });
+            var headers = {};
+            res.written = [];
+            res.setHeader = function (name, value) {
+                headers[name.toLowerCase()] = value;
+            };
+            res.getHeader = function (name) {
+                return headers[name.toLowerCase()];
+            };
+            return res;
+        }
+        function createRequest() {
+            var req = new EventEmitter();
+            req.headers = {};
+            return req;
+        }
+        it('should pause heartbeats until the response drains', function (done) {
+            var res = createResponse();
+            var delayed = new DelayedResponse(createRequest(), res);
+            var polls = 0;
+            delayed.on('poll', function () {
+                polls++;
+            }).start(10, 0);
+            setTimeout(function () {
+                polls.should.be.above(2);
+                res.written.should.eql([' ']);
+                res.drain();
+                setTimeout(function () {
+                    res.written.should.eql([' ', ' ']);
+                    delayed.stop();
+                    done();
+                }, 15);
+            }, 50);
+        });
+        it('should abort the work when the connection stalls', function (done) {
+            var res = createResponse();
+            var delayed = new DelayedResponse(createRequest(), res);
+            delayed.stallTimeout(50).start(10, 0, function (signal) {
+                signal.addEventListener('abort', function () {
+                    signal.reason.should.be.an.instanceOf(DelayedResponse.AbortError);
+                    signal.reason.message.should.be.exactly('connection stalled');
+                    // the work is aborted first, so that closing the connection doesn't replace the reason
+                    setImmediate(function () {
+                        res.destroyed.should.be.true();
+                        done();
+                    });
+                });
+            });
+        });
+        it('should not abort when the response drains in time', function (done) {
+            var res = createResponse();
+            var delayed = new DelayedResponse(createRequest(), res);
+            delayed.stallTimeout(50).start(10, 0, function (signal) {
+                setTimeout(function () {
+                    res.drain();
+                }, 30);
+                setTimeout(function () {
+                    signal.aborted.should.be.false();
+                    res.written.length.should.be.above(1);
+                    delayed.stop();
+                    done();
+                }, 70);
+            });
+        });
+        it('should only pull items once the response drains', function (done) {
+            var res = createResponse();
+            var delayed = new DelayedResponse(createRequest(), res);
+            var pulled = 0;
+            delayed.wait()(null, (function* () {
+                for (var i = 1; i <= 2; i++) {
+                    pulled++;
+                    yield i;
+                }
+            })());
+            setTimeout(function () {
+                pulled.should.be.exactly(1);
+                res.written.should.eql(['1\n']);
+                res.drain();
+                setTimeout(function () {
+                    pulled.should.be.exactly(2);
+                    res.written.should.eql(['1\n', '2\n']);
+                    res.drain();
+                    done();
+                }, 20);
+            }, 20);
+        });
+    });
+    describe('.prefer(policy)', function () {
+        it('should ignore preferences unless enabled', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                setTimeout(delayed.wait(1000), 50, null, 'results');
+            });
+            request(app).get('/').set('Prefer', 'respond-async').expect(200, 'results', function (err, res) {
+                if (err) return done(err);
+                res.headers.should.not.have.property('preference-applied');
+                done();
+            });
+        });
+        it('should wait as long as the client prefers', function (done) {
+            var app = express();
+            var started = Date.now();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('cancel', function () {
+                    res.end('cancelled');
+                }).prefer({ max: 60000 }).wait(50);
+            });
+            request(app).get('/').set('Prefer', 'wait=1')
+                .expect('Preference-Applied', 'wait=1')
+                .expect('Vary', 'Prefer')
+                .expect(202, 'cancelled', function (err) {
+                    if (err) return done(err);
+                    (Date.now() - started).should.be.above(900);
+                    done();
+                });
+        });
+        it('should clamp the wait preferred to the server timeout', function (done) {
+            var app = express();
+            var started = Date.now();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('cancel', function () {
+                    res.end();
+                }).prefer().wait(50);
+            });
+            request(app).get('/').set('Prefer', 'wait=60').expect(202, function (err, res) {
+                if (err) return done(err);
+                (Date.now() - started).should.be.below(1000);
+                res.headers.should.not.have.property('preference-applied');
+                done();
+            });
+        });
+        it('should respond asynchronously with a job registry', function (done) {
+            var app = express();
+            var registry = new DelayedResponse.JobRegistry({ path: '/jobs' });
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                setTimeout(delayed.track(registry).prefer().wait(1000), 50, null, 'results');
+            });
+            request(app).get('/').set('Prefer', 'respond-async')
+                .expect('Preference-Applied', 'respond-async')
+                .expect('Location', /^\/jobs\/[0-9a-f]+$/)
+                .expect(202, done);
+        });
+        it('should ignore respond-async without a job registry', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                var callback = delayed.prefer().wait(1000);
+                setTimeout(function () {
+                    delayed.signal.aborted.should.equal(false);
+                    callback(null, 'results');
+                }, 50);
+            });
+            request(app).get('/').set('Prefer', 'respond-async').expect(200, 'results', function (err, res) {
+                if (err) return done(err);
+                res.headers.should.not.have.property('preference-applied');
+                done();
+            });
+        });
+        it('should keep the server timeout without preferences', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                setTimeout(delayed.prefer().wait(1000), 50, null, 'results');
+            });
+            request(app).get('/').expect('Vary', 'Prefer').expect(200, 'results', function (err, res) {
+                if (err) return done(err);
+                res.headers.should.not.have.property('preference-applied');
+                done();
+            });
+        });
+        it('should ignore respond-async when long-polling', function (done) {
+            var app = express();
+            var registry = new DelayedResponse.JobRegistry({ path: '/jobs' });
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                var callback = delayed.track(registry).prefer().start(20, 0, 1000);
+                setTimeout(function () {
+                    delayed.signal.aborted.should.equal(false);
+                    callback(null, 'results');
+                }, 50);
+            });
+            request(app).get('/').set('Prefer', 'respond-async').expect(202, /^ *results$/, function (err, res) {
+                if (err) return done(err);
+                res.headers.should.not.have.property('preference-applied');
+                done();
+            });
+        });
+        it('should honor preferences with the middleware', function (done) {
+            var app = express();
+            app.use(DelayedResponse.middleware(function () {
+                return new Promise(function () {});
+            }, { prefer: { max: 100 }, timeout: 5000, timeoutResponse: 'pending' }));
+            request(app).get('/').set('Prefer', 'wait=10').expect(202, 'pending', function (err, res) {
+                if (err) return done(err);
+                // clamped to the maximum of the policy
+                res.headers.should.not.have.property('preference-applied');
+                done();
+            });
+        });
+    });
+    describe('DelayedResponse.middleware(fn, options)', function () {
+        it('should render the results of a promise', function (done) {
+            var app = express();
+            app.use(DelayedResponse.middleware(function (req, delayed) {
+                delayed.should.be.an.instanceOf(DelayedResponse);
+                return when.resolve({ url: req.url });
+            }, { json: true }));
+            request(app).get('/test')
+                .expect(200)
+                .expect('Content-Type', 'application/json')
+                .expect({ url: '/test' })
+                .end(done);
+        });
+        it('should render the results of a callback', function (done) {
+            var app = express();
+            app.use(DelayedResponse.middleware(function (req, delayed, callback) {
+                setTimeout(function () {
+                    callback(null, 'results');
+                }, 50);
+            }));
+            request(app).get('/').expect(200, 'results', done);
+        });
+        it('should use long-polling', function (done) {
+            var app = express();
+            app.use(DelayedResponse.middleware(function (req, delayed, callback) {
+                setTimeout(function () {
+                    callback(null, 'results');
+                }, 50);
+            }, { longPolling: true, interval: 20, initialDelay: 0 }));
+            request(app).get('/').expect(202, /^ +results$/, done);
+        });
+        it('should use Server-Sent Events', function (done) {
+            var app = express();
+            app.use(DelayedResponse.middleware(function () {
+                return when.resolve('results');
+            }, { eventStream: true }));
+            request(app).get('/')
+                .expect(200)
+                .expect('Content-Type', 'text/event-stream')
+                .expect('id: 1\nevent: result\ndata: results\n\n')
+                .end(done);
+        });
+        it('should render a custom timeout response', function (done) {
+            var app = express();
+            app.use(DelayedResponse.middleware(function () {}, {
+                json: true,
+                timeout: 50,
+                timeoutResponse: { pending: true }
+            }));
+            request(app).get('/').expect(202, { pending: true }, done);
+        });
+        it('should invoke a custom timeout handler', function (done) {
+            var app = express();
+            app.use(DelayedResponse.middleware(function () {}, {
+                timeout: 50,
+                timeoutResponse: function (req, res, delayed) {
+                    delayed.should.be.an.instanceOf(DelayedResponse);
+                    res.statusCode = 504;
+                    res.end();
+                }
+            }));
+            request(app).get('/').expect(504, done);
+        });
+        it('should invoke the error handler when failing', function (done) {
+            var app = express();
+            app.use(DelayedResponse.middleware(function () {
+                return when.reject(new Error('failure'));
+            }));
+            app.use(function (err, req, res, next) {
+                err.message.should.be.exactly('failure');
+                res.status(500).end();
+            });
+            request(app).get('/').expect(500, done);
+        });
+    });
+    describe('.progress(value, message)', function () {
+        it('should fire a "progress" event', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('progress', function (value, message) {
+                    value.should.be.exactly(50);
+                    message.should.be.exactly('halfway');
+                    res.end();
+                    done();
+                });
+                delayed.wait();
+                delayed.progress(50, 'halfway');
+            });
+            request(app).get('/').end(function () {});
+        });
+        it('should write progress frames in place of heartbeats', function () {
+            var t = DelayedResponse.testing.create();
+            t.delayed.start(20, 0);
+            t.delayed.progress(50, 'halfway');
+            t.advance(50);
+            t.delayed.end(null, { success: true });
+            t.expectEnded().expectBody(
+                '{"progress":{"value":50,"message":"halfway"}}\n' +
+                ' ' +
+                '{"result":{"success":true}}\n'
+            );
+        });
+        it('should only write the latest progress', function () {
+            var t = DelayedResponse.testing.create();
+            t.delayed.start(30, 0);
+            for (var i = 1; i <= 10; i++) {
+                t.delayed.progress(i);
+            }
+            t.advance(45);
+            t.delayed.end(new Error('failure'));
+            t.expectEnded().expectBody('{"progress":{"value":10}}\n{"error":{"message":"failure"}}\n');
+        });
+        it('should still emit "poll" and "heartbeat" events', function () {
+            var t = DelayedResponse.testing.create();
+            var polls = 0, heartbeats = 0;
+            t.delayed.on('poll', function () {
+                polls++;
+            }).on('heartbeat', function () {
+                heartbeats++;
+            }).start(20, 0);
+            t.delayed.progress(50);
+            t.advance(50);
+            t.delayed.end();
+            polls.should.be.exactly(2);
+            heartbeats.should.be.exactly(2);
+            t.expectEnded().expectBody('{"progress":{"value":50}}\n{"result":null}\n');
+        });
+        it('should use a custom framing', function () {
+            var t = DelayedResponse.testing.create();
+            t.delayed.framing(function (type, payload) {
+                return type + ':' + JSON.stringify(payload) + ';';
+            }).start(20, 0);
+            t.delayed.progress(50);
+            t.advance(30);
+            t.delayed.end(null, 'results');
+            t.expectEnded().expectBody('progress:{"value":50};result:"results";');
+        });
+        it('should write progress events with Server-Sent Events', function () {
+            var t = DelayedResponse.testing.create();
+            t.delayed.startEventStream(20, 0);
+            t.delayed.progress(50, 'halfway');
+            t.advance(20);
+            t.delayed.end(null, 'results');
+            t.expectEnded().expectBody(
+                'id: 1\nevent: progress\ndata: {"value":50,"message":"halfway"}\n\n' +
+                'id: 2\nevent: result\ndata: results\n\n'
+            );
+        });
+    });
+    describe('.envelope()', function () {
+        it('should render results in an envelope', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.envelope().start(100, 0)(null, 'results');
+            });
+            request(app).get('/')
+                .expect(202)
+                .expect('Content-Type', 'application/json')
+                .expect({ status: 'ok', result: 'results' })
+                .end(done);
+        });
+        it('should render errors in an envelope', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.envelope().wait()(new Error('failure'));
+            });
+            request(app).get('/')
+                .expect(500)
+                .expect({ status: 'error', error: { message: 'failure' } })
+                .end(done);
+        });
+        it('should render timeouts in an envelope', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.envelope().wait(50);
+            });
+            request(app).get('/')
+                .expect(202)
+                .expect({ status: 'timeout', error: { message: 'timeout occurred' } })
+                .end(done);
+        });
+        it('should not render errors with an error handler', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.envelope().on('error', function (err) {
+                    res.end(err.message);
+                }).wait()(new Error('failure'));
+            });
+            request(app).get('/').expect(200, 'failure', done);
+        });
+    });
+    describe('.trailer()', function () {
+        function get(app, callback) {
+            var server = http.createServer(app).listen(0, function () {
+                http.get({ port: server.address().port }, function (res) {
+                    var body = '';
+                    res.setEncoding('utf8');
+                    res.on('data', function (chunk) {
+                        body += chunk;
+                    }).on('end', function () {
+                        server.close();
+                        callback(res, body);
+                    });
+                });
+            });
+        }
+        it('should declare the trailer', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.trailer().wait()(null, 'results');
+            });
+            get(app, function (res, body) {
+                res.headers.trailer.should.be.exactly('X-Result-Status');
+                res.trailers['x-result-status'].should.be.exactly('ok');
+                body.should.be.exactly('results');
+                done();
+            });
+        });
+        it('should report errors after long-polling', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('error', function () {
+                    res.end();
+                }).trailer().start(20, 0);
+                setTimeout(function () {
+                    delayed.end(new Error('failure'));
+                }, 50);
+            });
+            get(app, function (res, body) {
+                res.statusCode.should.be.exactly(202);
+                res.trailers['x-result-status'].should.be.exactly('error');
+                done();
+            });
+        });
+        it('should report timeouts', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.trailer().envelope().start(20, 0, 50);
+            });
+            get(app, function (res, body) {
+                res.trailers['x-result-status'].should.be.exactly('timeout');
+                JSON.parse(body).status.should.be.exactly('timeout');
+                done();
+            });
+        });
+        it('should throw when headers are already sent', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                res.write(' ');
+                (function () {
+                    delayed.trailer();
+                }).should.throw('headers already sent');
+                res.end();
+            });
+            request(app).get('/').expect(200, done);
+        });
+    });
     describe('.stop()', function () {
         it('should stop polling', function (done) {
             var app = express();
@@ -224,6 +1028,75 @@ describe('DelayedResponse', function () {
                         done();
                     });
             });
+            it('should hand stream errors to the next function', function (done) {
+                var app = express();
+                app.use(function (req, res, next) {
+                    var delayed = new DelayedResponse(req, res, next);
+                    var source = new stream.Readable({ read: function () {} });
+                    delayed.wait(1000)(null, source);
+                    setTimeout(function () {
+                        source.destroy(new Error('failure'));
+                    }, 20);
+                });
+                app.use(function (err, req, res, next) {
+                    res.status(500).end(err.message);
+                });
+                request(app).get('/').expect(500, 'failure', done);
+            });
+            it('should destroy the stream when the request is aborted', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    var source = new stream.Readable({ read: function () {} });
+                    source.on('close', function () {
+                        delayed.outcome.should.be.exactly('abort');
+                        done();
+                    });
+                    delayed.start(10, 0)(null, source);
+                });
+                var req = request(app).get('/').end();
+                setTimeout(function () {
+                    req.abort();
+                }, 50);
+            });
+            it('should report stream errors in envelopes', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    var source = new stream.Readable({ read: function () {} });
+                    delayed.envelope().wait(1000)(null, source);
+                    source.push('partial');
+                    setTimeout(function () {
+                        source.destroy(new Error('failure'));
+                    }, 20);
+                });
+                request(app).get('/').expect(500, { status: 'error', error: { message: 'failure' } }, done);
+            });
+            it('should report stream errors in event streams', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    var source = new stream.Readable({ read: function () {} });
+                    delayed.startEventStream(100, 0)(null, source);
+                    setTimeout(function () {
+                        source.destroy(new Error('failure'));
+                    }, 20);
+                });
+                request(app).get('/').expect(200, 'id: 1\nevent: error\ndata: {"message":"failure"}\n\n', done);
+            });
+            it('should destroy buffered streams when the request is aborted', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    var source = new stream.Readable({ read: function () {} });
+                    source.on('close', done);
+                    delayed.envelope().start(10, 0)(null, source);
+                });
+                var req = request(app).get('/').end();
+                setTimeout(function () {
+                    req.abort();
+                }, 50);
+            });
             it('should render JSON when ending with an object', function (done) {
                 var app = express();
                 app.use(function (req, res) {
@@ -238,7 +1111,7 @@ describe('DelayedResponse', function () {
                     .expect({ success: true })
                     .end(done);
             });
-            it('should throw an error when ending with error', function (done) {
+            it('should render the error in-band when ending with error', function (done) {
                 var app = express();
                 app.use(function (req, res) {
                     var delayed = new DelayedResponse(req, res);
@@ -246,11 +1119,66 @@ describe('DelayedResponse', function () {
                     setTimeout(function () {
                         (function () {
                             delayed.end(new Error('failure'));
-                        }).should.throw('failure');
-                        done();
+                        }).should.not.throw();
                     }, 100);
                 });
-                request(app).get('/').end(function () {});
+                request(app).get('/').expect(202, function (err, res) {
+                    if (err) return done(err);
+                    var problem = JSON.parse(res.text);
+                    problem.status.should.be.exactly(500);
+                    problem.detail.should.be.exactly('failure');
+                    done();
+                });
+            });
+            it('should render problem details with the error status when waiting', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    var err = new Error('not found');
+                    err.statusCode = 404;
+                    delayed.wait()(err);
+                });
+                request(app).get('/')
+                    .expect('Content-Type', 'application/problem+json')
+                    .expect(404, function (err, res) {
+                        if (err) return done(err);
+                        var problem = JSON.parse(res.text);
+                        problem.should.have.properties({
+                            type: 'about:blank',
+                            title: 'Not Found',
+                            status: 404,
+                            detail: 'not found'
+                        });
+                        problem.should.not.have.property('stack');
+                        done();
+                    });
+            });
+            it('should render timeouts with their code and elapsed time', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    new DelayedResponse(req, res).wait(50);
+                });
+                request(app).get('/').expect(504, function (err, res) {
+                    if (err) return done(err);
+                    var problem = JSON.parse(res.text);
+                    problem.title.should.be.exactly('Gateway Timeout');
+                    problem.code.should.be.exactly('ETIMEDOUT');
+                    problem.elapsed.should.be.within(40, 1000);
+                    done();
+                });
+            });
+            it('should only include stack traces when exposed', function (done) {
+                var app = express();
+                DelayedResponse.exposeStack = true;
+                app.use(function (req, res) {
+                    new DelayedResponse(req, res).start(100, 0)(new Error('failure'));
+                });
+                request(app).get('/').expect(202, function (err, res) {
+                    DelayedResponse.exposeStack = false;
+                    if (err) return done(err);
+                    JSON.parse(res.text).stack.should.match(/^Error: failure\n/);
+                    done();
+                });
             });
         });
         describe('with promises', function () {
@@ -273,14 +1201,173 @@ describe('DelayedResponse', function () {
                     var delayed = new DelayedResponse(req, res);
                     delayed.start(100, 0);
                     var promise = when.reject(new Error('failure'));
-                    delayed.end(promise).catch(function (err) {
-                        err.should.be.an.Error;
-                        err.message.should.be.exactly('failure');
-                        res.end();
+                    delayed.end(promise);
+                });
+                request(app).get('/').expect(202, /"detail":"failure"/, done);
+            });
+        });
+        describe('with iterables', function () {
+            function delay(ms, value) {
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, ms, value);
+                });
+            }
+            it('should write generator items as NDJSON', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    delayed.wait()(null, (function* () {
+                        yield { id: 1 };
+                        yield { id: 2 };
+                    })());
+                });
+                request(app).get('/')
+                    .expect('Content-Type', 'application/x-ndjson')
+                    .expect(200, '{"id":1}\n{"id":2}\n', done);
+            });
+            it('should write arrays of promises as a JSON array', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    delayed.json().wait()(null, [delay(20, 1), delay(10, 2), 3]);
+                });
+                request(app).get('/').expect(200, [1, 2, 3], done);
+            });
+            it('should pause heartbeats while items are flowing', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    var callback = delayed.frameItems('ndjson').start(30, 0);
+                    callback(null, (async function* () {
+                        for (var i = 1; i <= 3; i++) {
+                            yield await delay(5, i);
+                        }
+                        yield await delay(100, 4);
+                    })());
+                });
+                request(app).get('/').end(function (err, res) {
+                    if (err) return done(err);
+                    res.text.should.match(/^ *1\n2\n3\n {2,}4\n$/);
+                    done();
+                });
+            });
+            it('should report failures in-band', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    delayed.start(100, 0)(null, (async function* () {
+                        yield 1;
+                        throw new Error('failure');
+                    })());
+                });
+                request(app).get('/')
+                    .expect(202, '1\n{"error":{"message":"failure"}}\n', done);
+            });
+            it('should report failures in-band with a JSON array', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    delayed.json().wait()(null, [1, Promise.reject(new Error('failure'))]);
+                });
+                request(app).get('/').expect(200, [1, { error: { message: 'failure' } }], done);
+            });
+            it('should handle every rejection of arrays of promises', function (done) {
+                var t = DelayedResponse.testing.create();
+                var unhandled = [];
+                var listener = function (reason) {
+                    unhandled.push(reason);
+                };
+                process.on('unhandledRejection', listener);
+                t.delayed.json().wait()(null, [
+                    Promise.resolve('a'),
+                    Promise.reject(new Error('b')),
+                    Promise.reject(new Error('c'))
+                ]);
+                setTimeout(function () {
+                    process.removeListener('unhandledRejection', listener);
+                    unhandled.should.eql([]);
+                    t.expectEnded().expectBody(['a', { error: { message: 'b' } }]);
+                    done();
+                }, 20);
+            });
+            it('should write items as events in an event stream', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    delayed.startEventStream(100, 0)(null, [Promise.resolve('a'), 'b']);
+                });
+                request(app).get('/').end(function (err, res) {
+                    if (err) return done(err);
+                    res.text.should.be.exactly(
+                        'id: 1\nevent: item\ndata: a\n\n' +
+                        'id: 2\nevent: item\ndata: b\n\n' +
+                        'id: 3\nevent: end\ndata: \n\n');
+                    done();
+                });
+            });
+            it('should report items which can\'t be written in-band', function (done) {
+                var app = express();
+                var cleaned = false;
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    delayed.wait()(null, (function* () {
+                        try {
+                            var item = { id: 2 };
+                            item.self = item;
+                            yield { id: 1 };
+                            yield item;
+                            yield { id: 3 };
+                        } finally {
+                            cleaned = true;
+                        }
+                    })());
+                });
+                request(app).get('/')
+                    .expect(200, /^\{"id":1\}\n\{"error":\{"message":"Converting circular/, function (err) {
+                        if (err) return done(err);
+                        cleaned.should.be.true();
                         done();
                     });
+            });
+            it('should report the first failure when iterators fail to clean up', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    var item = {};
+                    item.self = item;
+                    delayed.wait()(null, {
+                        next: function () {
+                            return { done: false, value: item };
+                        },
+                        return: function () {
+                            return Promise.reject(new Error('cleanup failed'));
+                        },
+                        [Symbol.iterator]: function () {
+                            return this;
+                        }
+                    });
                 });
-                request(app).get('/').end(function () {});
+                request(app).get('/').expect(500, /^\{"error":\{"message":"Converting circular/, done);
+            });
+            it('should stop iterating when the request is aborted', function (done) {
+                var app = express();
+                app.use(function (req, res) {
+                    var delayed = new DelayedResponse(req, res);
+                    delayed.start(100, 0)(null, (async function* () {
+                        try {
+                            for (var i = 0; ; i++) {
+                                yield await delay(10, i);
+                            }
+                        } finally {
+                            delayed.outcome.should.be.exactly('abort');
+                            done();
+                        }
+                    })());
+                });
+                var req = request(app).get('/').end();
+                setTimeout(function () {
+                    req.abort();
+                }, 50);
             });
         });
         describe('with event handlers', function () {
@@ -0,0 +1,53 @@
+var express = require('express');
+var request = require('supertest');
+var DelayedResponse = require('../');
+require('should');
+
+describe('DelayedResponse errors', function () {
+    describe('TimeoutError', function () {
+        it('should be an error with a code and the elapsed time', function () {
+            var err = new DelayedResponse.TimeoutError('timeout occurred', 100);
+            err.should.be.an.instanceOf(Error);
+            err.name.should.be.exactly('TimeoutError');
+            err.code.should.be.exactly('ETIMEDOUT');
+            err.elapsed.should.be.exactly(100);
+            err.stack.should.match(/^TimeoutError: timeout occurred\n/);
+        });
+        it('should be passed to "error" handlers after timeout', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('error', function (err) {
+                    err.should.be.an.instanceOf(DelayedResponse.TimeoutError);
+                    err.elapsed.should.be.within(40, 1000);
+                    res.status(504).end();
+                }).wait(50);
+            });
+            request(app).get('/').expect(504, done);
+        });
+    });
+    describe('AbortError', function () {
+        it('should be an error with a code and the elapsed time', function () {
+            var err = new DelayedResponse.AbortError('request aborted', 100);
+            err.should.be.an.instanceOf(Error);
+            err.name.should.be.exactly('AbortError');
+            err.code.should.be.exactly('ABORT_ERR');
+            err.elapsed.should.be.exactly(100);
+        });
+        it('should be the reason of the abort signal', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.wait(function (signal) {
+                    signal.addEventListener('abort', function () {
+                        signal.reason.should.be.an.instanceOf(DelayedResponse.AbortError);
+                        signal.reason.message.should.be.exactly('shutdown');
+                        done();
+                    });
+                });
+                delayed.shutdown('bye');
+            });
+            request(app).get('/').end(function () {});
+        });
+    });
+});
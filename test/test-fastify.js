@@ -0,0 +1,179 @@
+var Fastify = require('fastify');
+var request = require('supertest');
+var DelayedResponse = require('../');
+require('should');
+
+describe('Fastify adapter', function () {
+    var fastify, logs;
+    function createApp(handler, callback) {
+        logs = [];
+        fastify = Fastify({
+            logger: {
+                level: 'error',
+                stream: {
+                    write: function (line) {
+                        logs.push(JSON.parse(line));
+                    }
+                }
+            }
+        });
+        fastify.setErrorHandler(function (err, request, reply) {
+            reply.code(err.statusCode || 500).send({ error: err.message });
+        });
+        fastify.get('/*', handler);
+        fastify.ready(function (err) {
+            callback(err, fastify.server);
+        });
+    }
+    afterEach(function (done) {
+        fastify.close(function () {
+            done();
+        });
+    });
+    describe('.wait(timeout)', function () {
+        it('should render results', function (done) {
+            createApp(function (request, reply) {
+                var delayed = DelayedResponse.fastify(request, reply);
+                delayed.wait(100)(null, 'results');
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(200, 'results', done);
+            });
+        });
+        it('should cancel after timeout', function (done) {
+            createApp(function (request, reply) {
+                var delayed = DelayedResponse.fastify(request, reply);
+                delayed.on('cancel', function () {
+                    reply.raw.end('cancelled');
+                }).wait(50);
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, 'cancelled', done);
+            });
+        });
+        it('should hand timeouts to the error handler without cancel handler', function (done) {
+            createApp(function (request, reply) {
+                var delayed = DelayedResponse.fastify(request, reply);
+                delayed.wait(50);
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(500, { error: 'timeout occurred' }, done);
+            });
+        });
+    });
+    describe('.start(interval, initialDelay, timeout)', function () {
+        it('should write heartbeats before the results', function (done) {
+            createApp(function (request, reply) {
+                var delayed = DelayedResponse.fastify(request, reply);
+                setTimeout(delayed.start(10, 0), 50, null, 'results');
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, /^ +results$/, done);
+            });
+        });
+        it('should keep headers set on the reply', function (done) {
+            createApp(function (request, reply) {
+                reply.header('X-Request-Id', '42');
+                var delayed = DelayedResponse.fastify(request, reply);
+                delayed.start(10, 0)(null, 'results');
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect('X-Request-Id', '42').expect(202, done);
+            });
+        });
+    });
+    describe('.startEventStream(interval, initialDelay, timeout)', function () {
+        it('should send an event stream with status 200', function (done) {
+            createApp(function (request, reply) {
+                var delayed = DelayedResponse.fastify(request, reply);
+                setTimeout(delayed.startEventStream(100), 20, null, 'results');
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/')
+                    .expect('Content-Type', 'text/event-stream')
+                    .expect(200, 'id: 1\nevent: result\ndata: results\n\n', done);
+            });
+        });
+    });
+    describe('.signal', function () {
+        it('should abort after timeout', function (done) {
+            createApp(function (request, reply) {
+                var delayed = DelayedResponse.fastify(request, reply);
+                delayed.on('cancel', function () {
+                    delayed.signal.reason.message.should.be.exactly('timeout occurred');
+                    reply.raw.end();
+                }).wait(50, function (signal) {
+                    signal.should.be.exactly(delayed.signal);
+                });
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, done);
+            });
+        });
+    });
+    describe('DelayedResponse.fastify.handler(fn, options)', function () {
+        it('should render the results of a promise', function (done) {
+            createApp(DelayedResponse.fastify.handler(function (request) {
+                return Promise.resolve({ url: request.url });
+            }, { json: true }), function (err, app) {
+                if (err) return done(err);
+                request(app).get('/report').expect(200, { url: '/report' }, done);
+            });
+        });
+        it('should hand errors to the error handler', function (done) {
+            createApp(DelayedResponse.fastify.handler(function () {
+                var err = new Error('unavailable');
+                err.statusCode = 503;
+                return Promise.reject(err);
+            }), function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(503, { error: 'unavailable' }, done);
+            });
+        });
+        it('should render the timeout response', function (done) {
+            createApp(DelayedResponse.fastify.handler(function () {
+                return new Promise(function () {});
+            }, { json: true, timeout: 50, timeoutResponse: { status: 'pending' } }), function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, { status: 'pending' }, done);
+            });
+        });
+    });
+    describe('.end(err, data)', function () {
+        it('should render JSON when ending with an object', function (done) {
+            createApp(function (request, reply) {
+                var delayed = DelayedResponse.fastify(request, reply);
+                delayed.json().start(100, 0);
+                setTimeout(function () {
+                    delayed.end(null, { success: true });
+                }, 50);
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, { success: true }, done);
+            });
+        });
+        it('should log errors after headers are sent', function (done) {
+            createApp(function (request, reply) {
+                var delayed = DelayedResponse.fastify(request, reply);
+                setTimeout(delayed.start(10, 0), 50, new Error('failure'));
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, function (err) {
+                    if (err) return done(err);
+                    logs.should.have.length(1);
+                    logs[0].err.message.should.equal('failure');
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,175 @@
+var Hapi = require('@hapi/hapi');
+var request = require('supertest');
+var DelayedResponse = require('../');
+require('should');
+
+describe('hapi adapter', function () {
+    var server, logs;
+    function createApp(handler, callback) {
+        logs = [];
+        // errors are asserted by the tests
+        server = Hapi.server({ debug: false });
+        server.events.on({ name: 'request', channels: 'app' }, function (request, event) {
+            logs.push(event);
+        });
+        server.route({ method: 'GET', path: '/{path*}', handler: handler });
+        server.initialize().then(function () {
+            callback(null, server.listener);
+        }, callback);
+    }
+    afterEach(function (done) {
+        server.stop().then(function () {
+            done();
+        }, done);
+    });
+    describe('.wait(timeout)', function () {
+        it('should render results', function (done) {
+            createApp(function (request, h) {
+                var delayed = DelayedResponse.hapi(request, h);
+                delayed.wait(100)(null, 'results');
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(200, 'results', done);
+            });
+        });
+        it('should cancel after timeout', function (done) {
+            createApp(function (request, h) {
+                var delayed = DelayedResponse.hapi(request, h);
+                delayed.on('cancel', function () {
+                    request.raw.res.end('cancelled');
+                }).wait(50);
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, 'cancelled', done);
+            });
+        });
+        it('should hand timeouts to hapi without cancel handler', function (done) {
+            createApp(function (request, h) {
+                var delayed = DelayedResponse.hapi(request, h);
+                delayed.wait(50);
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(500, done);
+            });
+        });
+    });
+    describe('.start(interval, initialDelay, timeout)', function () {
+        it('should write heartbeats before the results', function (done) {
+            createApp(function (request, h) {
+                var delayed = DelayedResponse.hapi(request, h);
+                setTimeout(delayed.start(10, 0), 50, null, 'results');
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, /^ +results$/, done);
+            });
+        });
+        it('should cancel after timeout', function (done) {
+            createApp(function (request, h) {
+                var delayed = DelayedResponse.hapi(request, h);
+                delayed.on('cancel', function () {
+                    request.raw.res.end();
+                }).start(20, 0, 50);
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, done);
+            });
+        });
+    });
+    describe('.startEventStream(interval, initialDelay, timeout)', function () {
+        it('should send an event stream with status 200', function (done) {
+            createApp(function (request, h) {
+                var delayed = DelayedResponse.hapi(request, h);
+                setTimeout(delayed.startEventStream(100), 20, null, 'results');
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/')
+                    .expect('Content-Type', 'text/event-stream')
+                    .expect(200, 'id: 1\nevent: result\ndata: results\n\n', done);
+            });
+        });
+    });
+    describe('.signal', function () {
+        it('should abort after timeout', function (done) {
+            createApp(function (request, h) {
+                var delayed = DelayedResponse.hapi(request, h);
+                delayed.on('cancel', function () {
+                    delayed.signal.reason.message.should.be.exactly('timeout occurred');
+                    request.raw.res.end();
+                }).wait(50, function (signal) {
+                    signal.should.be.exactly(delayed.signal);
+                });
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, done);
+            });
+        });
+    });
+    describe('DelayedResponse.hapi.handler(fn, options)', function () {
+        it('should render the results of a promise', function (done) {
+            createApp(DelayedResponse.hapi.handler(function (request) {
+                return Promise.resolve({ path: request.path });
+            }, { json: true }), function (err, app) {
+                if (err) return done(err);
+                request(app).get('/report').expect(200, { path: '/report' }, done);
+            });
+        });
+        it('should hand errors to hapi', function (done) {
+            createApp(DelayedResponse.hapi.handler(function () {
+                return Promise.reject(new Error('failure'));
+            }), function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(500, function (err, res) {
+                    if (err) return done(err);
+                    res.body.error.should.equal('Internal Server Error');
+                    done();
+                });
+            });
+        });
+        it('should render the timeout response', function (done) {
+            createApp(DelayedResponse.hapi.handler(function () {
+                return new Promise(function () {});
+            }, { json: true, timeout: 50, timeoutResponse: { status: 'pending' } }), function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, { status: 'pending' }, done);
+            });
+        });
+    });
+    describe('.end(err, data)', function () {
+        it('should render JSON when ending with an object', function (done) {
+            createApp(function (request, h) {
+                var delayed = DelayedResponse.hapi(request, h);
+                delayed.json().start(100, 0);
+                setTimeout(function () {
+                    delayed.end(null, { success: true });
+                }, 50);
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, { success: true }, done);
+            });
+        });
+        it('should log errors after headers are sent', function (done) {
+            createApp(function (request, h) {
+                var delayed = DelayedResponse.hapi(request, h);
+                setTimeout(delayed.start(10, 0), 50, new Error('failure'));
+                return delayed.completion;
+            }, function (err, app) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, function (err) {
+                    if (err) return done(err);
+                    logs.should.have.length(1);
+                    logs[0].tags.should.eql(['error']);
+                    logs[0].error.message.should.equal('failure');
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,120 @@
+var express = require('express');
+var request = require('supertest');
+var DelayedResponse = require('../');
+var heartbeats = DelayedResponse.heartbeats;
+require('should');
+
+describe('DelayedResponse.heartbeats', function () {
+    describe('.fixed(interval)', function () {
+        it('should return the same interval', function () {
+            var schedule = heartbeats.fixed(100);
+            schedule.next(0).should.be.exactly(100);
+            schedule.next(10).should.be.exactly(100);
+            schedule.max.should.be.exactly(100);
+        });
+    });
+    describe('.exponential(initial, factor, max)', function () {
+        it('should increase the interval up to the maximum', function () {
+            var schedule = heartbeats.exponential(100, 2, 500);
+            [0, 1, 2, 3].map(schedule.next).should.eql([100, 200, 400, 500]);
+            schedule.max.should.be.exactly(500);
+        });
+    });
+    describe('.jittered(schedule, ratio)', function () {
+        it('should shorten intervals randomly', function () {
+            var schedule = heartbeats.jittered(heartbeats.exponential(100, 2, 400), 0.5);
+            for (var i = 0; i < 20; i++) {
+                schedule.next(0).should.be.within(50, 100);
+                schedule.next(5).should.be.within(200, 400);
+            }
+            schedule.max.should.be.exactly(400);
+        });
+    });
+    describe('.check(preset, interval, initialDelay)', function () {
+        it('should accept valid timings', function () {
+            heartbeats.check(heartbeats.presets.heroku, 20000, 5000).should.eql([]);
+        });
+        it('should detect a late first byte', function () {
+            heartbeats.check(heartbeats.presets.heroku, 20000, 15000).should.eql([
+                'first heartbeat after 35000ms exceeds the 30000ms first byte timeout of heroku'
+            ]);
+        });
+        it('should detect a long interval', function () {
+            var schedule = heartbeats.exponential(1000, 2);
+            heartbeats.check(heartbeats.presets.alb, schedule, 0).should.eql([
+                'heartbeat interval of Infinityms exceeds the 60000ms idle timeout of alb'
+            ]);
+        });
+    });
+    describe('with DelayedResponse', function () {
+        it('should poll according to the schedule', function (done) {
+            var app = express();
+            var polls = [];
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                var started = Date.now();
+                delayed.on('poll', function () {
+                    polls.push(Date.now() - started);
+                }).start(heartbeats.exponential(10, 2), 0);
+                setTimeout(delayed.end.bind(delayed), 100);
+            });
+            request(app).get('/').expect(202, function (err) {
+                if (err) return done(err);
+                // heartbeats at 10, 30, 70 msec
+                polls.length.should.be.exactly(3);
+                polls[2].should.be.within(65, 95);
+                done();
+            });
+        });
+        it('should use the platform timings', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.platform({ name: 'test', firstByte: 100, idle: 100, initialDelay: 0, interval: 20 });
+                delayed.start();
+                setTimeout(delayed.end.bind(delayed), 50);
+            });
+            request(app).get('/').expect(202, '  ', done);
+        });
+        it('should throw in strict mode when timings exceed the platform limits', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.platform('heroku', true);
+                (function () {
+                    delayed.start(60000);
+                }).should.throw('first heartbeat after 65000ms exceeds the 30000ms first byte timeout of heroku');
+                (typeof delayed.started).should.be.exactly('undefined');
+                res.end();
+            });
+            request(app).get('/').expect(200, done);
+        });
+        it('should warn once when timings exceed the platform limits', function (done) {
+            var app = express();
+            var warnings = [];
+            var listener = function (warning) {
+                warning.code === 'DELAYED_RESPONSE_PLATFORM' && warnings.push(warning.message);
+            };
+            process.on('warning', listener);
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.platform({ name: 'test', firstByte: 10, idle: 100, initialDelay: 0, interval: 20 }).start();
+                delayed.end();
+            });
+            request(app).get('/').expect(202, function (err) {
+                if (err) return done(err);
+                request(app).get('/').expect(202, function (err) {
+                    process.removeListener('warning', listener);
+                    if (err) return done(err);
+                    warnings.should.eql(['first heartbeat after 20ms exceeds the 10ms first byte timeout of test']);
+                    done();
+                });
+            });
+        });
+        it('should throw with an unknown platform', function () {
+            (function () {
+                new DelayedResponse({ on: function () {} }, { on: function () { return this; } }).platform('unknown');
+            }).should.throw('unknown platform: unknown');
+        });
+    });
+});
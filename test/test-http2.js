@@ -0,0 +1,168 @@
+var http2 = require('http2');
+var express = require('express');
+var request = require('supertest');
+var DelayedResponse = require('../');
+require('should');
+
+describe('HTTP/2', function () {
+
+    var server, client;
+
+    afterEach(function (done) {
+        client && client.close();
+        server ? server.close(function () {
+            done();
+        }) : done();
+        server = client = null;
+    });
+
+    // starts a local h2c server, invoking "handler" with the compatibility API or "streamHandler" with raw streams
+    function listen(handler, streamHandler, callback) {
+        server = http2.createServer(handler || undefined);
+        streamHandler && server.on('stream', streamHandler);
+        server.listen(0, function () {
+            client = http2.connect('http://localhost:' + server.address().port);
+            callback();
+        });
+    }
+
+    // sends a request, collecting the response status, body and trailers
+    function get(callback) {
+        var req = client.request({ ':path': '/' });
+        var response = { body: '' };
+        req.setEncoding('utf8');
+        req.on('response', function (headers) {
+            response.status = headers[':status'];
+            response.headers = headers;
+        }).on('trailers', function (trailers) {
+            response.trailers = trailers;
+        }).on('data', function (chunk) {
+            response.body += chunk;
+        }).on('end', function () {
+            callback(null, response);
+        }).on('error', callback);
+        return req;
+    }
+
+    describe('with the compatibility API', function () {
+        it('should render results', function (done) {
+            listen(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.wait(1000)(null, 'results');
+            }, null, function () {
+                get(function (err, res) {
+                    if (err) return done(err);
+                    res.status.should.equal(200);
+                    res.body.should.equal('results');
+                    done();
+                });
+            });
+        });
+        it('should long-poll without changing the shared socket', function (done) {
+            listen(function (req, res) {
+                res.socket.setNoDelay = function () {
+                    throw new Error('socket of the session should not be modified');
+                };
+                var callback = new DelayedResponse(req, res).start(20, 0);
+                setTimeout(callback, 70, null, 'results');
+            }, null, function () {
+                get(function (err, res) {
+                    if (err) return done(err);
+                    res.status.should.equal(202);
+                    res.body.should.match(/^ +results$/);
+                    done();
+                });
+            });
+        });
+        it('should keep the connection alive with PING frames', function (done) {
+            var pings = 0;
+            listen(function (req, res) {
+                var callback = new DelayedResponse(req, res).ping().start(20, 0);
+                setTimeout(callback, 70, null, 'results');
+            }, null, function () {
+                client.on('ping', function () {
+                    pings++;
+                });
+                get(function (err, res) {
+                    if (err) return done(err);
+                    res.status.should.equal(202);
+                    res.body.should.equal('results');
+                    pings.should.be.above(1);
+                    done();
+                });
+            });
+        });
+        it('should fire an "abort" event when the stream is reset', function (done) {
+            listen(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('abort', function () {
+                    delayed.outcome.should.equal('abort');
+                    delayed.signal.reason.message.should.equal('request aborted');
+                    done();
+                }).start(20, 0);
+            }, null, function () {
+                var req = get(function () {});
+                req.on('response', function () {
+                    req.close(http2.constants.NGHTTP2_CANCEL);
+                });
+            });
+        });
+    });
+
+    describe('with raw streams', function () {
+        it('should render results', function (done) {
+            listen(null, function (stream, headers) {
+                var delayed = DelayedResponse.fromStream(stream, headers);
+                delayed.req.url.should.equal('/');
+                delayed.json().wait(1000)(null, { success: true });
+            }, function () {
+                get(function (err, res) {
+                    if (err) return done(err);
+                    res.status.should.equal(200);
+                    res.headers['content-type'].should.equal('application/json');
+                    JSON.parse(res.body).should.eql({ success: true });
+                    done();
+                });
+            });
+        });
+        it('should long-poll and send trailers', function (done) {
+            listen(null, function (stream, headers) {
+                var callback = DelayedResponse.fromStream(stream, headers).trailer().start(20, 0);
+                setTimeout(callback, 70, null, 'results');
+            }, function () {
+                get(function (err, res) {
+                    if (err) return done(err);
+                    res.status.should.equal(202);
+                    res.body.should.match(/^ +results$/);
+                    res.trailers['x-result-status'].should.equal('ok');
+                    done();
+                });
+            });
+        });
+        it('should fire an "abort" event when the stream is reset', function (done) {
+            listen(null, function (stream, headers) {
+                var delayed = DelayedResponse.fromStream(stream, headers);
+                delayed.on('abort', function () {
+                    delayed.outcome.should.equal('abort');
+                    done();
+                }).start(20, 0);
+            }, function () {
+                var req = get(function () {});
+                req.on('response', function () {
+                    req.close(http2.constants.NGHTTP2_CANCEL);
+                });
+            });
+        });
+    });
+
+    it('should require HTTP/2 for PING heartbeats', function (done) {
+        var app = express();
+        app.use(function (req, res) {
+            (function () {
+                new DelayedResponse(req, res).ping();
+            }).should.throw('PING heartbeats require HTTP/2');
+            res.end();
+        });
+        request(app).get('/').expect(200, done);
+    });
+});
@@ -0,0 +1,153 @@
+var express = require('express');
+var request = require('supertest');
+var DelayedResponse = require('../');
+var JobRegistry = DelayedResponse.JobRegistry;
+require('should');
+
+describe('JobRegistry', function () {
+    describe('with a delayed response', function () {
+        it('should redirect to the job status after timeout', function (done) {
+            var app = express();
+            var registry = new JobRegistry({ path: '/jobs', retryAfter: 2 });
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.track(registry).wait(50);
+            });
+            request(app).get('/')
+                .expect(202)
+                .expect('Retry-After', '2')
+                .expect('Location', /^\/jobs\/[0-9a-f]+$/)
+                .end(function (err, res) {
+                    if (err) return done(err);
+                    res.body.status.should.be.exactly('pending');
+                    res.headers.location.should.be.exactly('/jobs/' + res.body.id);
+                    done();
+                });
+        });
+        it('should fire a "cancel" event with the job ID', function (done) {
+            var app = express();
+            var registry = new JobRegistry();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.track(registry).on('cancel', function (id) {
+                    id.should.be.a.String();
+                    res.end('pending: ' + id);
+                }).wait(50);
+            });
+            request(app).get('/')
+                .expect(202)
+                .expect(/^pending: [0-9a-f]+$/)
+                .end(done);
+        });
+        it('should respond normally when completed in time', function (done) {
+            var app = express();
+            var registry = new JobRegistry();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                var callback = delayed.track(registry).json().wait(200);
+                setTimeout(function () {
+                    callback(null, { success: true });
+                }, 50);
+            });
+            request(app).get('/')
+                .expect(200)
+                .expect({ success: true })
+                .end(function (err, res) {
+                    if (err) return done(err);
+                    (typeof res.headers.location).should.be.exactly('undefined');
+                    done();
+                });
+        });
+    });
+    describe('.middleware()', function () {
+        function createApp(registry, work) {
+            var app = express();
+            app.use('/jobs', registry.middleware());
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                work(delayed.track(registry).json().wait(50));
+            });
+            return app;
+        }
+        it('should serve pending jobs', function (done) {
+            var registry = new JobRegistry();
+            var app = createApp(registry, function () {});
+            request(app).get('/').end(function (err, res) {
+                if (err) return done(err);
+                request(app).get(res.headers.location)
+                    .expect(202)
+                    .expect('Location', res.headers.location)
+                    .expect({ id: res.body.id, status: 'pending' })
+                    .end(done);
+            });
+        });
+        it('should serve completed jobs', function (done) {
+            var registry = new JobRegistry();
+            var app = createApp(registry, function (callback) {
+                setTimeout(function () {
+                    callback(null, { success: true });
+                }, 100);
+            });
+            request(app).get('/').end(function (err, res) {
+                if (err) return done(err);
+                setTimeout(function () {
+                    request(app).get(res.headers.location)
+                        .expect(200)
+                        .expect('Content-Type', 'application/json')
+                        .expect({ success: true })
+                        .end(done);
+                }, 100);
+            });
+        });
+        it('should serve failed jobs', function (done) {
+            var registry = new JobRegistry();
+            var app = createApp(registry, function (callback) {
+                setTimeout(function () {
+                    callback(new Error('failure'));
+                }, 100);
+            });
+            request(app).get('/').end(function (err, res) {
+                if (err) return done(err);
+                setTimeout(function () {
+                    request(app).get(res.headers.location)
+                        .expect(500)
+                        .expect({ id: res.body.id, status: 'failed', error: 'failure' })
+                        .end(done);
+                }, 100);
+            });
+        });
+        it('should respond with 404 for unknown jobs', function (done) {
+            var registry = new JobRegistry();
+            var app = express();
+            app.use('/jobs', registry.middleware());
+            request(app).get('/jobs/unknown').expect(404, done);
+        });
+    });
+    describe('MemoryStore', function () {
+        it('should evict jobs with the clock', function () {
+            var t = DelayedResponse.testing.create();
+            var registry = new JobRegistry({ ttl: 1000, clock: t.clock });
+            t.advance(500);
+            var id = registry.create(t.delayed);
+            registry.store.jobs[id].created.should.be.exactly(500);
+            t.advance(999);
+            registry.store.jobs.should.have.property(id);
+            t.advance(1);
+            registry.store.jobs.should.not.have.property(id);
+        });
+        it('should evict jobs after their TTL', function (done) {
+            var store = new JobRegistry.MemoryStore();
+            store.set('id', { status: 'pending' }, 50, function () {
+                store.get('id', function (err, job) {
+                    job.status.should.be.exactly('pending');
+                    setTimeout(function () {
+                        store.get('id', function (err, job) {
+                            (job === null).should.be.true();
+                            done();
+                        });
+                    }, 100);
+                });
+            });
+        });
+    });
+});
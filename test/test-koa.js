@@ -0,0 +1,159 @@
+var Koa = require('koa');
+var request = require('supertest');
+var DelayedResponse = require('../');
+require('should');
+
+describe('Koa adapter', function () {
+    function createApp(middleware) {
+        var app = new Koa();
+        // errors are asserted by the tests
+        app.silent = true;
+        app.use(middleware);
+        return app.callback();
+    }
+    describe('.wait(timeout)', function () {
+        it('should render results with status 200', function (done) {
+            var app = createApp(function (ctx) {
+                var delayed = DelayedResponse.koa(ctx);
+                delayed.wait(100)(null, 'results');
+                return delayed.completion;
+            });
+            request(app).get('/').expect(200, 'results', done);
+        });
+        it('should cancel after timeout', function (done) {
+            var app = createApp(function (ctx) {
+                var delayed = DelayedResponse.koa(ctx);
+                delayed.on('cancel', function () {
+                    ctx.res.end('cancelled');
+                }).wait(50);
+                return delayed.completion;
+            });
+            request(app).get('/').expect(202, 'cancelled', done);
+        });
+        it('should hand timeouts to Koa without cancel handler', function (done) {
+            var errors = [];
+            var koa = new Koa();
+            koa.silent = true;
+            koa.on('error', function (err) {
+                errors.push(err.message);
+            });
+            koa.use(function (ctx) {
+                var delayed = DelayedResponse.koa(ctx);
+                delayed.wait(50);
+                return delayed.completion;
+            });
+            request(koa.callback()).get('/').expect(500, function (err) {
+                if (err) return done(err);
+                errors.should.have.length(1);
+                errors[0].should.match(/timeout occurred/);
+                done();
+            });
+        });
+    });
+    describe('.start(interval, initialDelay, timeout)', function () {
+        it('should write heartbeats before the results', function (done) {
+            var app = createApp(function (ctx) {
+                var delayed = DelayedResponse.koa(ctx);
+                setTimeout(delayed.start(10, 0), 50, null, 'results');
+                return delayed.completion;
+            });
+            request(app).get('/').expect(202, /^ +results$/, done);
+        });
+        it('should cancel after timeout', function (done) {
+            var app = createApp(function (ctx) {
+                var delayed = DelayedResponse.koa(ctx);
+                delayed.on('cancel', function () {
+                    ctx.res.end();
+                }).start(20, 0, 50);
+                return delayed.completion;
+            });
+            request(app).get('/').expect(202, done);
+        });
+    });
+    describe('.startEventStream(interval, initialDelay, timeout)', function () {
+        it('should send an event stream with status 200', function (done) {
+            var app = createApp(function (ctx) {
+                var delayed = DelayedResponse.koa(ctx);
+                setTimeout(delayed.startEventStream(100), 20, null, 'results');
+                return delayed.completion;
+            });
+            request(app).get('/')
+                .expect('Content-Type', 'text/event-stream')
+                .expect(200, 'id: 1\nevent: result\ndata: results\n\n', done);
+        });
+    });
+    describe('.signal', function () {
+        it('should abort after timeout', function (done) {
+            var app = createApp(function (ctx) {
+                var delayed = DelayedResponse.koa(ctx);
+                delayed.on('cancel', function () {
+                    delayed.signal.reason.message.should.be.exactly('timeout occurred');
+                    ctx.res.end();
+                }).wait(50, function (signal) {
+                    signal.should.be.exactly(delayed.signal);
+                });
+                return delayed.completion;
+            });
+            request(app).get('/').expect(202, done);
+        });
+    });
+    describe('DelayedResponse.koa.middleware(fn, options)', function () {
+        it('should render the results of a promise', function (done) {
+            var app = createApp(DelayedResponse.koa.middleware(function (ctx) {
+                return Promise.resolve({ path: ctx.path });
+            }, { json: true }));
+            request(app).get('/report').expect(200, { path: '/report' }, done);
+        });
+        it('should hand errors to error handling middleware', function (done) {
+            var koa = new Koa();
+            koa.use(function (ctx, next) {
+                return next().catch(function (err) {
+                    ctx.status = err.status;
+                    ctx.body = { error: err.message };
+                });
+            });
+            koa.use(DelayedResponse.koa.middleware(function () {
+                var err = new Error('unavailable');
+                err.status = 503;
+                return Promise.reject(err);
+            }));
+            request(koa.callback()).get('/').expect(503, { error: 'unavailable' }, done);
+        });
+        it('should render the timeout response', function (done) {
+            var app = createApp(DelayedResponse.koa.middleware(function () {
+                return new Promise(function () {});
+            }, { json: true, timeout: 50, timeoutResponse: { status: 'pending' } }));
+            request(app).get('/').expect(202, { status: 'pending' }, done);
+        });
+    });
+    describe('.end(err, data)', function () {
+        it('should render JSON when ending with an object', function (done) {
+            var app = createApp(function (ctx) {
+                var delayed = DelayedResponse.koa(ctx);
+                delayed.json().start(100, 0);
+                setTimeout(function () {
+                    delayed.end(null, { success: true });
+                }, 50);
+                return delayed.completion;
+            });
+            request(app).get('/').expect(202, { success: true }, done);
+        });
+        it('should report errors to Koa after headers are sent', function (done) {
+            var errors = [];
+            var koa = new Koa();
+            koa.on('error', function (err) {
+                errors.push(err.message);
+            });
+            koa.use(function (ctx) {
+                var delayed = DelayedResponse.koa(ctx);
+                setTimeout(delayed.start(10, 0), 50, new Error('failure'));
+                return delayed.completion;
+            });
+            request(koa.callback()).get('/').expect(202, function (err) {
+                if (err) return done(err);
+                errors.should.eql(['failure']);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,202 @@
+var express = require('express');
+var request = require('supertest');
+var http = require('http');
+var DelayedResponse = require('../');
+var Manager = DelayedResponse.Manager;
+require('should');
+
+describe('Manager', function () {
+    function createApp(manager, delay) {
+        var app = express();
+        app.use(manager.middleware());
+        app.use(function (req, res) {
+            var delayed = new DelayedResponse(req, res);
+            var callback = delayed.wait();
+            setTimeout(function () {
+                callback(null, req.url);
+            }, delay);
+        });
+        return app;
+    }
+    describe('.middleware()', function () {
+        it('should track delayed responses', function (done) {
+            var manager = new Manager();
+            var app = express();
+            app.use(manager.middleware());
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.manager.should.be.exactly(manager);
+                manager.count().should.be.exactly(1);
+                manager.responses().should.eql([delayed]);
+                delayed.wait()(null, 'results');
+            });
+            request(app).get('/').expect(200, function (err) {
+                if (err) return done(err);
+                manager.count().should.be.exactly(0);
+                done();
+            });
+        });
+        it('should reject with 503 when the queue is full', function (done) {
+            var manager = new Manager({ max: 1, retryAfter: 10 });
+            var app = createApp(manager, 100);
+            request(app).get('/first').expect(200, '/first').end(function () {});
+            setTimeout(function () {
+                request(app).get('/second')
+                    .expect(503)
+                    .expect('Retry-After', '10')
+                    .end(done);
+            }, 20);
+        });
+        it('should queue requests until admitted', function (done) {
+            var manager = new Manager({ max: 1, queue: 1 });
+            var app = createApp(manager, 50);
+            var completed = [];
+            request(app).get('/first').expect(200, '/first').end(function () {
+                completed.push('first');
+            });
+            setTimeout(function () {
+                manager.count().should.be.exactly(1);
+                request(app).get('/second').expect(200, '/second').end(function (err) {
+                    if (err) return done(err);
+                    completed.should.eql(['first']);
+                    done();
+                });
+            }, 20);
+        });
+        it('should limit responses per key', function (done) {
+            var manager = new Manager({
+                maxPerKey: 1,
+                key: function (req) {
+                    return req.headers['x-user'];
+                }
+            });
+            var app = createApp(manager, 100);
+            request(app).get('/').set('X-User', 'a').expect(200).end(function () {});
+            setTimeout(function () {
+                manager.count('a').should.be.exactly(1);
+                request(app).get('/').set('X-User', 'a').expect(503).end(function () {});
+                request(app).get('/').set('X-User', 'b').expect(200, done);
+            }, 20);
+        });
+        it('should release when stopped', function (done) {
+            var manager = new Manager({ max: 1 });
+            var app = express();
+            app.use(manager.middleware());
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.start();
+                delayed.stop();
+                manager.count().should.be.exactly(0);
+                res.end();
+            });
+            request(app).get('/').expect(202, done);
+        });
+        it('should release when request is aborted', function (done) {
+            var manager = new Manager({ max: 1 });
+            var app = express();
+            app.use(manager.middleware());
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('abort', function () {
+                    manager.count().should.be.exactly(0);
+                    done();
+                }).start();
+            });
+            var req = request(app).get('/').end();
+            setTimeout(function () {
+                req.abort();
+            }, 50);
+        });
+    });
+    describe('.closeAll(options, callback)', function () {
+        it('should let pending responses complete within the grace period', function (done) {
+            var manager = new Manager();
+            var app = createApp(manager, 50);
+            request(app).get('/').expect(200, '/', done);
+            setTimeout(function () {
+                manager.closeAll({ grace: 100 }, function () {
+                    manager.count().should.be.exactly(0);
+                });
+            }, 20);
+        });
+        it('should end remaining responses with the payload', function (done) {
+            var manager = new Manager();
+            var app = express();
+            app.use(manager.middleware());
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.start(20, 0);
+                delayed.signal.addEventListener('abort', function () {
+                    delayed.signal.reason.message.should.be.exactly('shutdown');
+                });
+            });
+            request(app).get('/').expect(202, /^ +restarting$/, done);
+            setTimeout(function () {
+                manager.closeAll({ grace: 30, payload: 'restarting' });
+            }, 20);
+        });
+        it('should cancel remaining responses without a payload', function (done) {
+            var manager = new Manager();
+            var app = express();
+            var cancelled = false;
+            app.use(manager.middleware());
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('cancel', function () {
+                    cancelled = true;
+                    res.end('cancelled');
+                }).wait();
+            });
+            request(app).get('/').expect(202, 'cancelled', function (err) {
+                if (err) return done(err);
+                cancelled.should.be.true();
+                done();
+            });
+            setTimeout(function () {
+                manager.closeAll();
+            }, 20);
+        });
+        it('should schedule the grace period with the clock', function () {
+            var t = DelayedResponse.testing.create();
+            var manager = new Manager({ clock: t.clock });
+            var closed = false;
+            manager.add(t.delayed);
+            t.delayed.wait();
+            manager.closeAll({ grace: 5000, payload: 'restarting' }, function () {
+                closed = true;
+            });
+            t.advance(4999);
+            t.res.finished.should.be.false();
+            t.advance(1).expectEnded().expectBody('restarting');
+            closed.should.be.true();
+        });
+        it('should reject new requests', function (done) {
+            var manager = new Manager();
+            var app = createApp(manager, 10);
+            manager.closeAll();
+            request(app).get('/').expect(503, done);
+        });
+        it('should close the server once drained', function (done) {
+            var manager = new Manager();
+            var app = express();
+            app.use(manager.middleware());
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.start(20, 0);
+            });
+            var server = http.createServer(app).listen(0, function () {
+                var body = '';
+                http.get({ port: server.address().port, agent: false }, function (res) {
+                    res.setEncoding('utf8');
+                    res.on('data', function (chunk) {
+                        body += chunk;
+                    });
+                    manager.closeAll({ grace: 30, server: server }, function () {
+                        body.should.match(/^ +$/);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,133 @@
+var express = require('express');
+var request = require('supertest');
+var DelayedResponse = require('../');
+require('should');
+
+describe('Collector', function () {
+
+    var metrics = DelayedResponse.metrics;
+    beforeEach(function () {
+        metrics.reset();
+    });
+
+    describe('lifecycle', function () {
+        it('should record timestamps and outcome', function (done) {
+            var app = express();
+            var delayed;
+            app.use(function (req, res) {
+                delayed = new DelayedResponse(req, res);
+                delayed.start(20, 0);
+                setTimeout(function () {
+                    delayed.end(null, 'results');
+                }, 30);
+            });
+            request(app).get('/').expect(202, function (err) {
+                if (err) return done(err);
+                delayed.outcome.should.be.exactly('done');
+                delayed.timestamps.created.should.be.a.Number();
+                delayed.timestamps.started.should.not.be.below(delayed.timestamps.created);
+                delayed.timestamps.firstHeartbeat.should.not.be.below(delayed.timestamps.started);
+                delayed.timestamps.ended.should.not.be.below(delayed.timestamps.firstHeartbeat);
+                done();
+            });
+        });
+        it('should classify timeouts', function (done) {
+            var app = express();
+            var delayed;
+            app.use(function (req, res) {
+                delayed = new DelayedResponse(req, res);
+                delayed.on('cancel', function () {
+                    res.end();
+                }).wait(20);
+            });
+            request(app).get('/').expect(202, function (err) {
+                if (err) return done(err);
+                delayed.outcome.should.be.exactly('timeout');
+                done();
+            });
+        });
+        it('should classify errors', function (done) {
+            var app = express();
+            var delayed;
+            app.use(function (req, res) {
+                delayed = new DelayedResponse(req, res);
+                delayed.on('error', function () {
+                    res.status(500).end();
+                }).wait()(new Error('failure'));
+            });
+            request(app).get('/').expect(500, function (err) {
+                if (err) return done(err);
+                delayed.outcome.should.be.exactly('error');
+                done();
+            });
+        });
+        it('should classify aborted requests', function (done) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.on('abort', function () {
+                    delayed.outcome.should.be.exactly('abort');
+                    res.end();
+                    done();
+                }).start();
+            });
+            var req = request(app).get('/').end();
+            setTimeout(function () {
+                req.abort();
+            }, 50);
+        });
+    });
+    describe('.on(event, listener)', function () {
+        it('should fire lifecycle events', function (done) {
+            var app = express();
+            var events = [];
+            var listener = function (event) {
+                return function (delayed) {
+                    delayed.should.be.an.instanceOf(DelayedResponse);
+                    events.push(event);
+                };
+            };
+            metrics.on('create', listener('create'))
+                .on('start', listener('start'))
+                .on('heartbeat', listener('heartbeat'))
+                .on('end', listener('end'));
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.start(10, 0);
+                setTimeout(delayed.end.bind(delayed), 35);
+            });
+            request(app).get('/').end(function (err) {
+                metrics.removeAllListeners();
+                if (err) return done(err);
+                events.should.eql(['create', 'start', 'heartbeat', 'end']);
+                done();
+            });
+        });
+    });
+    describe('.handler()', function () {
+        it('should render metrics in the Prometheus format', function (done) {
+            var app = express();
+            app.get('/metrics', metrics.handler());
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res);
+                delayed.wait()(null, 'results');
+            });
+            request(app).get('/').expect(200, function (err) {
+                if (err) return done(err);
+                request(app).get('/metrics')
+                    .expect(200)
+                    .expect('Content-Type', 'text/plain; version=0.0.4')
+                    .end(function (err, res) {
+                        if (err) return done(err);
+                        res.text.should.containEql('http_delayed_responses_created_total 1\n');
+                        res.text.should.containEql('http_delayed_responses_pending 0\n');
+                        res.text.should.containEql('http_delayed_responses_total{outcome="done"} 1\n');
+                        res.text.should.containEql('http_delayed_responses_total{outcome="timeout"} 0\n');
+                        res.text.should.containEql('http_delayed_response_duration_seconds_bucket{outcome="done",le="0.1"} 1\n');
+                        res.text.should.containEql('http_delayed_response_duration_seconds_count{outcome="done"} 1\n');
+                        done();
+                    });
+            });
+        });
+    });
+});
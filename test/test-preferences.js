@@ -0,0 +1,47 @@
+var DelayedResponse = require('../');
+var preferences = DelayedResponse.preferences;
+require('should');
+
+describe('DelayedResponse.preferences', function () {
+    describe('.parse(header)', function () {
+        it('should parse preferences with and without values', function () {
+            preferences.parse('respond-async, wait=10').should.eql({ 'respond-async': true, wait: '10' });
+        });
+        it('should ignore case, quotes and parameters', function () {
+            preferences.parse('Wait="5"; foo=bar, RESPOND-ASYNC').should.eql({ wait: '5', 'respond-async': true });
+        });
+        it('should keep the first occurrence of a preference', function () {
+            preferences.parse(['wait=5', 'wait=10']).should.eql({ wait: '5' });
+        });
+        it('should return no preferences without header', function () {
+            preferences.parse(undefined).should.eql({});
+            preferences.parse(' , ').should.eql({});
+        });
+    });
+    describe('.resolve(preferences, policy, timeout)', function () {
+        it('should keep the server timeout without preferences', function () {
+            preferences.resolve({}, {}, 5000).should.eql({ timeout: 5000, applied: [] });
+            preferences.resolve({ wait: 'soon' }, {}, 0).should.eql({ timeout: undefined, applied: [] });
+        });
+        it('should replace the timeout with the wait requested', function () {
+            preferences.resolve({ wait: '2' }, {}, 5000).should.eql({ timeout: 2000, applied: ['wait=2'] });
+            preferences.resolve({ wait: '2' }, {}).should.eql({ timeout: 2000, applied: ['wait=2'] });
+        });
+        it('should clamp the wait requested to the policy without reporting it', function () {
+            preferences.resolve({ wait: '10' }, {}, 5000).should.eql({ timeout: 5000, applied: [] });
+            preferences.resolve({ wait: '10' }, { max: 8000 }, 5000).timeout.should.be.exactly(8000);
+            preferences.resolve({ wait: '1' }, { min: 1500 }, 5000).should.eql({ timeout: 1500, applied: [] });
+        });
+        it('should time out immediately when responding asynchronously', function () {
+            preferences.resolve({ 'respond-async': true }, {}, 5000).should.eql({
+                timeout: 0,
+                applied: ['respond-async']
+            });
+            preferences.resolve({ 'respond-async': true }, { min: 100 }, 5000).timeout.should.be.exactly(100);
+            preferences.resolve({ 'respond-async': true, wait: '1' }, {}, 5000).should.eql({
+                timeout: 1000,
+                applied: ['respond-async', 'wait=1']
+            });
+        });
+    });
+});
@@ -0,0 +1,148 @@
+var express = require('express');
+var request = require('supertest');
+var DelayedResponse = require('../');
+var Serializers = DelayedResponse.Serializers;
+require('should');
+
+describe('Serializers', function () {
+    function req(accept, url) {
+        return { url: url || '/', headers: accept ? { accept: accept } : {} };
+    }
+    describe('.negotiate(req, types)', function () {
+        var serializers = new Serializers();
+        it('should prefer JSON when any type is acceptable', function () {
+            serializers.negotiate(req()).should.equal('application/json');
+            serializers.negotiate(req('*/*')).should.equal('application/json');
+        });
+        it('should select the most specific type accepted', function () {
+            serializers.negotiate(req('text/csv')).should.equal('text/csv');
+            serializers.negotiate(req('text/csv, */*')).should.equal('text/csv');
+            serializers.negotiate(req('text/*')).should.equal('text/plain');
+        });
+        it('should honor quality values', function () {
+            serializers.negotiate(req('application/json;q=0.5, text/plain')).should.equal('text/plain');
+            serializers.negotiate(req('application/json;q=0, */*;q=0.1')).should.equal('application/x-ndjson');
+        });
+        it('should only select allowed types', function () {
+            serializers.negotiate(req('*/*'), ['text/csv', 'text/plain']).should.equal('text/csv');
+            (serializers.negotiate(req('application/json'), ['text/csv']) === null).should.be.true();
+        });
+        it('should return null when no type is acceptable', function () {
+            (serializers.negotiate(req('image/png')) === null).should.be.true();
+        });
+        it('should not select JSONP unless enabled and allowed', function () {
+            serializers.negotiate(req('*/*', '/?callback=handle')).should.equal('application/json');
+            serializers.types().should.not.containEql('application/javascript');
+            var enabled = new Serializers().jsonp();
+            enabled.types().should.not.containEql('application/javascript');
+            enabled.negotiate(req('*/*', '/?callback=handle')).should.equal('application/json');
+            (enabled.negotiate(req('application/javascript')) === null).should.be.true();
+        });
+        it('should select JSONP when allowed and a callback is specified', function () {
+            var enabled = new Serializers().jsonp();
+            var types = ['application/json', 'application/javascript'];
+            enabled.negotiate(req('*/*', '/?callback=handle'), types).should.equal('application/javascript');
+            enabled.negotiate(req('*/*'), types).should.equal('application/json');
+        });
+    });
+    describe('.serialize(type, data, req)', function () {
+        var serializers = new Serializers();
+        var records = [{ id: 1, name: 'first' }, { id: 2, name: 'with "quotes", commas' }];
+        it('should render NDJSON', function () {
+            serializers.serialize('application/x-ndjson', records).should.equal(
+                '{"id":1,"name":"first"}\n{"id":2,"name":"with \\"quotes\\", commas"}\n');
+        });
+        it('should render CSV', function () {
+            serializers.serialize('text/csv', records).should.equal(
+                'id,name\r\n1,first\r\n2,"with ""quotes"", commas"\r\n');
+        });
+        it('should reject CSV rows which are not records', function () {
+            [[{ a: 1 }, null], ['a', 'b'], 42, [[1, 2]]].forEach(function (data) {
+                (function () {
+                    serializers.serialize('text/csv', data);
+                }).should.throw('CSV records must be objects');
+            });
+        });
+        it('should render JSONP once enabled', function () {
+            (function () {
+                serializers.serialize('application/javascript', { a: 1 }, req(null, '/?callback=handle'));
+            }).should.throw('no serializer for application/javascript');
+            var enabled = new Serializers().jsonp();
+            enabled.serialize('application/javascript', { a: 1 }, req(null, '/?callback=handle'))
+                .should.equal('/**/ handle({"a":1});');
+            enabled.serialize('application/javascript', 1, req(null, '/?callback=alert(1)'))
+                .should.equal('/**/ callback(1);');
+        });
+        it('should use registered serializers', function () {
+            serializers.register('text/plain', function (data) {
+                return 'custom: ' + data;
+            });
+            serializers.register('application/xml', function (data) {
+                return '<value>' + data + '</value>';
+            });
+            serializers.serialize('text/plain', 'hello').should.equal('custom: hello');
+            serializers.negotiate(req('application/xml')).should.equal('application/xml');
+            (function () {
+                serializers.serialize('image/png', 'hello');
+            }).should.throw('no serializer for image/png');
+        });
+    });
+    describe('with DelayedResponse', function () {
+        function createApp(longPolling) {
+            var app = express();
+            app.use(DelayedResponse.middleware(function (req, delayed, callback) {
+                setTimeout(function () {
+                    callback(null, [{ id: 1, name: 'first' }]);
+                }, 50);
+            }, { negotiate: true, longPolling: longPolling, interval: 30, initialDelay: 10 }));
+            return app;
+        }
+        it('should render results in the accepted format', function (done) {
+            request(createApp()).get('/')
+                .set('Accept', 'text/csv')
+                .expect('Content-Type', 'text/csv')
+                .expect('Vary', 'Accept')
+                .expect(200, 'id,name\r\n1,first\r\n', done);
+        });
+        function createFailingApp(longPolling) {
+            var app = express();
+            app.use(function (req, res) {
+                var delayed = new DelayedResponse(req, res).negotiate();
+                var callback = longPolling ? delayed.start(10, 0) : delayed.wait();
+                setTimeout(function () {
+                    callback(null, [{ id: 1 }, null]);
+                }, 30);
+            });
+            return app;
+        }
+        it('should handle results which can\'t be rendered as errors', function (done) {
+            request(createFailingApp()).get('/')
+                .set('Accept', 'text/csv')
+                .expect('Content-Type', 'application/problem+json')
+                .expect(500, /"detail":"CSV records must be objects"/, done);
+        });
+        it('should report results which can\'t be rendered when long-polling', function (done) {
+            request(createFailingApp(true)).get('/')
+                .set('Accept', 'text/csv')
+                .expect('Content-Type', 'text/csv')
+                .expect(202, /^ *\{.*"detail":"CSV records must be objects"/, done);
+        });
+        it('should end with HTTP 406 when no format is acceptable', function (done) {
+            request(createApp()).get('/')
+                .set('Accept', 'image/png')
+                .expect(406, '', done);
+        });
+        it('should negotiate when long-polling starts', function (done) {
+            request(createApp(true)).get('/')
+                .set('Accept', 'application/x-ndjson')
+                .expect('Content-Type', 'application/x-ndjson')
+                .expect(202, /^ *\{"id":1,"name":"first"\}\n$/, done);
+        });
+        it('should fall back to the preferred format when long-polling', function (done) {
+            request(createApp(true)).get('/')
+                .set('Accept', 'image/png')
+                .expect('Content-Type', 'application/json')
+                .expect(202, /^ *\[\{"id":1,"name":"first"\}\]$/, done);
+        });
+    });
+});
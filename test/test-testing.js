@@ -0,0 +1,145 @@
+var DelayedResponse = require('../');
+var testing = DelayedResponse.testing;
+require('should');
+
+describe('DelayedResponse.testing', function () {
+    describe('VirtualClock', function () {
+        it('should only run timers when advanced', function () {
+            var clock = new testing.VirtualClock();
+            var calls = [];
+            clock.setTimeout(function () {
+                calls.push('timeout at ' + clock.now());
+            }, 50);
+            var interval = clock.setInterval(function () {
+                calls.push('interval at ' + clock.now());
+            }, 20);
+            calls.should.be.empty();
+            clock.advance(60);
+            calls.should.eql(['interval at 20', 'interval at 40', 'timeout at 50', 'interval at 60']);
+            clock.clearInterval(interval);
+            clock.advance(100).now().should.be.exactly(160);
+            calls.should.have.length(4);
+            clock.pending().should.be.exactly(0);
+        });
+        it('should run timers scheduled while advancing', function () {
+            var clock = new testing.VirtualClock();
+            var calls = [];
+            clock.setTimeout(function () {
+                clock.setTimeout(function () {
+                    calls.push(clock.now());
+                }, 10);
+            }, 10);
+            clock.advance(30);
+            calls.should.eql([20]);
+        });
+    });
+    describe('.create(options)', function () {
+        it('should use the system clock by default', function () {
+            DelayedResponse.clock.should.not.be.an.instanceOf(testing.VirtualClock);
+            DelayedResponse.clock.now().should.be.approximately(Date.now(), 1000);
+            testing.create().delayed.clock.should.be.an.instanceOf(testing.VirtualClock);
+        });
+        it('should write heartbeats as time advances', function () {
+            var t = testing.create();
+            var callback = t.delayed.start(1000, 0);
+            t.advance(5500).expectStatus(202).expectHeartbeats(5);
+            callback(null, { success: true });
+            t.expectEnded().expectBody({ success: true });
+            t.delayed.outcome.should.be.exactly('done');
+        });
+        it('should cancel after timeout', function () {
+            var t = testing.create();
+            t.delayed.on('cancel', function () {
+                t.res.end('cancelled');
+            }).wait(30000);
+            t.advance(29999);
+            t.res.finished.should.be.false();
+            t.advance(1).expectStatus(202).expectBody('cancelled');
+            t.delayed.timestamps.ended.should.be.exactly(30000);
+        });
+        it('should render problem details for unhandled errors', function () {
+            var t = testing.create();
+            var err = new Error('not found');
+            err.status = 404;
+            t.delayed.wait(1000)(err);
+            t.expectStatus(404).expectHeader('Content-Type', 'application/problem+json');
+            t.expectBody(/"detail":"not found"/);
+        });
+        it('should hand errors to the next function', function () {
+            var t = testing.create({ next: true });
+            t.delayed.wait(1000);
+            t.advance(1000);
+            t.errors.should.have.length(1);
+            t.errors[0].should.be.an.instanceOf(DelayedResponse.TimeoutError);
+            t.errors[0].elapsed.should.be.exactly(1000);
+        });
+        it('should trigger client aborts', function () {
+            var t = testing.create();
+            var aborted = false;
+            t.delayed.start(100, 0, function (signal) {
+                signal.addEventListener('abort', function () {
+                    aborted = true;
+                });
+            });
+            t.advance(250).abort();
+            aborted.should.be.true();
+            t.delayed.outcome.should.be.exactly('abort');
+            t.clock.pending().should.be.exactly(0);
+        });
+        it('should honor client preferences', function () {
+            var t = testing.create({ headers: { Prefer: 'wait=10' } });
+            t.delayed.on('cancel', function () {
+                t.res.end();
+            }).prefer({ max: 60000 }).wait(1000);
+            t.advance(9999).res.finished.should.be.false();
+            t.advance(1).expectHeader('Preference-Applied', 'wait=10').expectEnded();
+        });
+        it('should pause heartbeats until the client reads', function () {
+            var t = testing.create();
+            t.delayed.start(100, 0);
+            t.res.block();
+            t.advance(500).expectHeartbeats(1);
+            t.res.drain();
+            t.advance(500).expectHeartbeats(6);
+        });
+        it('should detect stalled connections', function () {
+            var t = testing.create();
+            t.delayed.stallTimeout(1000).start(100, 0);
+            t.res.block();
+            t.advance(1099);
+            t.res.destroyed.should.be.false();
+            t.advance(1);
+            t.res.destroyed.should.be.true();
+            t.delayed.signal.reason.message.should.be.exactly('connection stalled');
+        });
+        it('should retry with virtual time', function () {
+            var t = testing.create();
+            var attempts = [];
+            t.delayed.retry({ attempts: 3, backoff: 1000 }).wait(10000, function (signal, callback) {
+                attempts.push(t.clock.now());
+                callback(attempts.length < 3 ? new Error('failure') : null, 'results');
+            });
+            t.advance(2000);
+            attempts.should.eql([0, 1000, 2000]);
+            t.expectStatus(200).expectBody('results');
+        });
+    });
+    describe('.run(middleware, options)', function () {
+        it('should run a middleware with promises', function () {
+            var t = testing.run(DelayedResponse.middleware(function (req) {
+                return Promise.resolve({ url: req.url });
+            }, { json: true }), { url: '/report' });
+            return t.flush().then(function () {
+                t.expectStatus(200).expectHeader('Content-Type', 'application/json').expectBody({ url: '/report' });
+            });
+        });
+        it('should collect errors handed to the next function', function () {
+            var t = testing.run(DelayedResponse.middleware(function () {
+                return new Promise(function () {});
+            }, { timeout: 5000 }));
+            t.advance(5000);
+            t.errors.should.have.length(1);
+            t.errors[0].message.should.be.exactly('timeout occurred');
+        });
+    });
+});